@@ -0,0 +1,207 @@
+/**
+ * Browser Supervisor
+ *
+ * Owns the lifecycle of the shared Chromium instance and its page pool.
+ *
+ * - Launches the browser and restarts it when it crashes or a browser-level error is reported
+ * - Failed launches (and crashes shortly after launch) are retried with exponential backoff
+ * - While in backoff the circuit is open: acquire() fails fast with BrowserUnavailableError
+ *   instead of queueing requests behind a browser that isn't there
+ * - Callers waiting for a launch share one promise, no polling
+ */
+
+import logger from './logger'
+
+const log = logger.child({ component: 'BrowserSupervisor' })
+
+export class BrowserUnavailableError extends Error {
+    constructor(message, retryAfter) {
+        super(message)
+        this.name = 'BrowserUnavailableError'
+        this.retryAfter = retryAfter // seconds
+    }
+}
+
+/**
+ * Whether an error means the browser itself is broken
+ * Only true browser/frame crashes should restart the browser, not page-level errors.
+ * Page timeouts and navigation errors are NOT browser errors
+ */
+export function isBrowserError(error) {
+    const msg = error.message || ''
+    if (msg.includes('detached Frame')) return true
+    return error.name === 'ProtocolError' && (
+        msg.includes('Browser closed') ||
+        msg.includes('Connection closed') ||
+        msg.includes('Session closed')
+    )
+}
+
+class BrowserSupervisor {
+    constructor({ launch, createPool, minBackoff = 1000, maxBackoff = 60000, stableAfter = 60000 }) {
+        this.launch = launch
+        this.createPool = createPool
+        this.minBackoff = minBackoff
+        this.maxBackoff = maxBackoff
+        this.stableAfter = stableAfter // a browser running this long is no longer counted as a failed start
+
+        this.browser = null
+        this.pagePool = null
+        this.state = 'stopped' // stopped | starting | running | backoff
+        this.startPromise = null
+        this.retryTimer = null
+        this.retryAt = null
+        this.launchedAt = null
+        this.restarts = 0
+        this.launches = 0
+        this.consecutiveFailures = 0
+        this.lastError = null
+    }
+
+    /**
+     * Get the running browser and page pool, launching if needed
+     * Throws BrowserUnavailableError while the circuit is open
+     */
+    async acquire() {
+        if (this.state === 'running' && this.browser?.connected) {
+            if (this.consecutiveFailures && Date.now() - this.launchedAt >= this.stableAfter) {
+                this.consecutiveFailures = 0
+            }
+            return { browser: this.browser, pagePool: this.pagePool }
+        }
+        if (this.state === 'backoff') {
+            const retryAfter = Math.max(1, Math.ceil((this.retryAt - Date.now()) / 1000))
+            throw new BrowserUnavailableError(`Browser unavailable: ${this.lastError}`, retryAfter)
+        }
+        await this.start()
+        return { browser: this.browser, pagePool: this.pagePool }
+    }
+
+    /**
+     * Launch the browser; concurrent callers share the same launch
+     */
+    start() {
+        if (!this.startPromise) {
+            this.startPromise = this.doStart().finally(() => {
+                this.startPromise = null
+            })
+        }
+        return this.startPromise
+    }
+
+    async doStart() {
+        clearTimeout(this.retryTimer)
+        this.state = 'starting'
+        log.info('Launching browser')
+
+        try {
+            const browser = this.browser = await this.launch()
+            this.pagePool = this.createPool(browser)
+            await this.pagePool.init()
+
+            browser.on('disconnected', () => this.onDisconnected(browser))
+            if (this.launches > 0) this.restarts++
+            this.launches++
+            this.launchedAt = Date.now()
+            this.state = 'running'
+            log.info('Browser running', { launches: this.launches, restarts: this.restarts })
+        } catch (e) {
+            this.lastError = e.message
+            log.error('Browser launch failed', { error: e })
+            await this.close()
+            this.scheduleRetry()
+            const retryAfter = Math.ceil((this.retryAt - Date.now()) / 1000)
+            throw new BrowserUnavailableError(`Browser launch failed: ${e.message}`, retryAfter)
+        }
+    }
+
+    /**
+     * Open the circuit and relaunch after an exponentially growing delay
+     */
+    scheduleRetry() {
+        this.consecutiveFailures++
+        const delay = Math.min(this.maxBackoff, this.minBackoff * 2 ** (this.consecutiveFailures - 1))
+        this.state = 'backoff'
+        this.retryAt = Date.now() + delay
+        log.warn('Retrying browser launch after backoff', { delayMs: delay, consecutiveFailures: this.consecutiveFailures })
+
+        clearTimeout(this.retryTimer)
+        this.retryTimer = setTimeout(() => {
+            this.start().catch(() => {})
+        }, delay)
+        // A pending relaunch doesn't keep the process alive on its own
+        this.retryTimer.unref()
+    }
+
+    onDisconnected(browser) {
+        // Ignore browsers we closed ourselves
+        if (browser !== this.browser || this.state !== 'running') return
+        this.restart('Browser disconnected')
+    }
+
+    /**
+     * Report an error from a render; browser-level errors trigger a restart
+     */
+    reportError(error) {
+        if (isBrowserError(error)) {
+            this.restart(error.message)
+        }
+    }
+
+    /**
+     * Close the current browser and launch a new one
+     * A browser that dies shortly after launch counts as a failed start, so crash loops back off
+     */
+    async restart(reason) {
+        if (this.state !== 'running') return
+
+        log.error('Restarting browser', { reason })
+        this.lastError = reason
+        if (Date.now() - this.launchedAt < this.stableAfter) {
+            // Open the circuit before closing, so requests fail fast meanwhile
+            this.scheduleRetry()
+            await this.close()
+        } else {
+            this.consecutiveFailures = 0
+            // Closing and relaunching is one start, so requests arriving while the
+            // old browser closes wait for it instead of launching a browser of their own
+            this.state = 'starting'
+            this.startPromise = this.close()
+                .then(() => this.doStart())
+                .finally(() => {
+                    this.startPromise = null
+                })
+            await this.startPromise.catch(() => {})
+        }
+    }
+
+    async close() {
+        const { browser, pagePool } = this
+        this.browser = null
+        this.pagePool = null
+        if (pagePool) {
+            try { await pagePool.destroy() } catch(_) {}
+        }
+        if (browser) {
+            try { await browser.close() } catch(_) {}
+        }
+    }
+
+    /**
+     * Get supervisor statistics
+     */
+    getStats() {
+        return {
+            state: this.state,
+            connected: this.browser?.connected ?? false,
+            uptime: this.state === 'running' ? Math.floor((Date.now() - this.launchedAt) / 1000) : 0,
+            launches: this.launches,
+            restarts: this.restarts,
+            consecutiveFailures: this.consecutiveFailures,
+            lastError: this.lastError,
+            retryAt: this.state === 'backoff' ? new Date(this.retryAt).toISOString() : null
+        }
+    }
+}
+
+export default BrowserSupervisor
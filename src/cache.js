@@ -0,0 +1,206 @@
+/**
+ * Shared Cache
+ *
+ * One cache for rendered snapshots, OG images and OG metadata, backed by a
+ * pluggable store chosen with CACHE_BACKEND:
+ * - memory: per process, lost on restart
+ * - file: on disk (see file-store.js), survives restarts
+ * - redis: in Redis (see redis-store.js), shared by all instances
+ *
+ * Entries belong to a kind ('snapshot', 'og-image', 'og-meta'), each with its own TTL.
+ * Values may be Buffers, strings or JSON-serializable objects and come back as stored.
+ * Store failures are logged and treated as misses, so a broken cache never fails a request.
+ */
+
+import logger from './logger'
+import FileStore from './file-store'
+import RedisStore from './redis-store'
+
+const log = logger.child({ component: 'Cache' })
+
+/**
+ * In-memory store with LRU eviction within `maxBytes`
+ */
+export class MemoryStore {
+    constructor({ maxBytes = 100 * 1024 * 1024 } = {}) {
+        this.maxBytes = maxBytes
+        // key -> { value, meta }, kept in least recently used order
+        this.entries = new Map()
+        this.totalBytes = 0
+    }
+
+    async init() {}
+
+    async get(key) {
+        const entry = this.entries.get(key)
+        if (!entry) return null
+
+        if (entry.meta.expiresAt <= Date.now()) {
+            await this.delete(key)
+            return null
+        }
+
+        // Move to the end of the map to mark as most recently used
+        this.entries.delete(key)
+        this.entries.set(key, entry)
+        return entry
+    }
+
+    async set(key, value, meta) {
+        if (value.length > this.maxBytes) return
+
+        await this.delete(key)
+        this.entries.set(key, { value, meta })
+        this.totalBytes += value.length
+
+        while (this.totalBytes > this.maxBytes) {
+            await this.delete(this.entries.keys().next().value)
+        }
+    }
+
+    async delete(key) {
+        const entry = this.entries.get(key)
+        if (!entry) return
+        this.entries.delete(key)
+        this.totalBytes -= entry.value.length
+    }
+
+    async keys(prefix) {
+        return [...this.entries.keys()].filter(key => key.startsWith(prefix))
+    }
+
+    async close() {}
+
+    getStats() {
+        return {
+            backend: 'memory',
+            entries: this.entries.size,
+            bytes: this.totalBytes,
+            maxBytes: this.maxBytes
+        }
+    }
+}
+
+function encode(value) {
+    if (Buffer.isBuffer(value)) return { data: value, encoding: 'buffer' }
+    if (typeof value === 'string') return { data: Buffer.from(value), encoding: 'utf8' }
+    return { data: Buffer.from(JSON.stringify(value)), encoding: 'json' }
+}
+
+function decode(data, encoding) {
+    if (encoding === 'buffer') return data
+    if (encoding === 'utf8') return data.toString('utf8')
+    return JSON.parse(data.toString('utf8'))
+}
+
+class Cache {
+    /**
+     * `ttls` maps entry kinds to their TTL in ms. Kinds without a TTL (or with 0) aren't cached
+     */
+    constructor(store, { ttls = {} } = {}) {
+        this.store = store
+        this.ttls = ttls
+        // kind -> { hits, misses }
+        this.stats = new Map()
+    }
+
+    async init() {
+        await this.store.init()
+    }
+
+    static storeKey(kind, key) {
+        return `${kind}:${key}`
+    }
+
+    countRequest(kind, result) {
+        if (!this.stats.has(kind)) {
+            this.stats.set(kind, { hits: 0, misses: 0 })
+        }
+        this.stats.get(kind)[result]++
+    }
+
+    /**
+     * Return { value, createdAt } for a cached entry, or null
+     */
+    async get(kind, key) {
+        let entry = null
+        try {
+            entry = await this.store.get(Cache.storeKey(kind, key))
+        } catch (e) {
+            log.warn('Cache read error', { kind, key, error: e })
+        }
+
+        if (!entry) {
+            this.countRequest(kind, 'misses')
+            return null
+        }
+        this.countRequest(kind, 'hits')
+        return { value: decode(entry.value, entry.meta.encoding), createdAt: entry.meta.createdAt }
+    }
+
+    /**
+     * Store a value, created at `createdAt` (ms), for the TTL of its kind
+     */
+    async set(kind, key, value, { createdAt = Date.now() } = {}) {
+        const ttl = this.ttls[kind]
+        if (!ttl) return
+
+        const { data, encoding } = encode(value)
+        try {
+            await this.store.set(Cache.storeKey(kind, key), data, { createdAt, expiresAt: createdAt + ttl, encoding })
+        } catch (e) {
+            log.warn('Cache write error', { kind, key, error: e })
+        }
+    }
+
+    async delete(kind, key) {
+        try {
+            await this.store.delete(Cache.storeKey(kind, key))
+        } catch (e) {
+            log.warn('Cache delete error', { kind, key, error: e })
+        }
+    }
+
+    /**
+     * List the keys of a kind starting with `prefix`
+     * Unlike reads and writes, store failures are thrown, so a purge never silently does nothing
+     */
+    async keys(kind, prefix = '') {
+        const storePrefix = Cache.storeKey(kind, '')
+        const keys = await this.store.keys(storePrefix + prefix)
+        return keys.map(key => key.slice(storePrefix.length))
+    }
+
+    async close() {
+        await this.store.close()
+    }
+
+    /**
+     * Get cache statistics: the store's size figures plus hits and misses per kind
+     */
+    getStats() {
+        return {
+            ...this.store.getStats(),
+            kinds: Object.fromEntries(this.stats)
+        }
+    }
+}
+
+/**
+ * Create a cache with the store for `backend`
+ */
+export function createCache({ backend = 'file', dir, maxBytes, redisUrl, redisPrefix, ttls }) {
+    let store
+    if (backend === 'memory') {
+        store = new MemoryStore({ maxBytes })
+    } else if (backend === 'file') {
+        store = new FileStore({ dir, maxBytes })
+    } else if (backend === 'redis') {
+        store = new RedisStore({ url: redisUrl, prefix: redisPrefix })
+    } else {
+        throw new Error(`Unknown cache backend: ${backend}`)
+    }
+    return new Cache(store, { ttls })
+}
+
+export default Cache
@@ -0,0 +1,97 @@
+/**
+ * Structured Content Extraction
+ *
+ * Turns a rendered snapshot into JSON for search indexing and research tools,
+ * so they don't have to scrape the HTML themselves:
+ * - metadata, as extracted for OG previews
+ * - the text of `.etext` as blocks in document order: stanzas of numbered
+ *   lines (numbered as in `?rader=`, with element IDs as used by `?ankare=`)
+ *   and prose paragraphs
+ * - the page's internal links
+ */
+
+import SnapshotCache from './snapshot-cache'
+import { getPageType, extractMetadataFromHtml } from './og-preview'
+import { extractLinks } from './link-graph'
+
+function cleanText(text) {
+    return text.replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * Text blocks of a page's `.etext`, or null if it has none
+ * Stanzas are [{ type: 'stanza', lines: [{ n, id, text }] }], paragraphs { type: 'paragraph', text }
+ */
+export function extractText($) {
+    const etext = $('.etext').first()
+    if (!etext.length) return null
+
+    const blocks = []
+    let lineNumber = 0
+    let looseStanza = null
+
+    const addLine = (el, stanza) => {
+        const text = cleanText($(el).text())
+        lineNumber++
+        if (text) {
+            stanza.lines.push({ n: lineNumber, id: $(el).attr('id') || null, text })
+        }
+    }
+
+    // Stanzas, loose lines and paragraphs, in document order; nested matches belong to their outer block
+    etext.find('._lg, ._l, ._p, p').each((_, el) => {
+        const node = $(el)
+        if (node.parentsUntil(etext, '._lg, ._p, p').length) return
+
+        if (node.is('._lg')) {
+            looseStanza = null
+            const stanza = { type: 'stanza', lines: [] }
+            node.find('._l').each((_, line) => addLine(line, stanza))
+            if (stanza.lines.length) blocks.push(stanza)
+        } else if (node.is('._l')) {
+            if (!looseStanza) {
+                looseStanza = { type: 'stanza', lines: [] }
+                blocks.push(looseStanza)
+            }
+            addLine(el, looseStanza)
+        } else {
+            looseStanza = null
+            node.find('._l').each(() => {
+                lineNumber++
+            })
+            const text = cleanText(node.text())
+            if (text) blocks.push({ type: 'paragraph', text })
+        }
+    })
+
+    const nonEmpty = blocks.filter(block => block.type === 'paragraph' || block.lines.length)
+    return {
+        blocks: nonEmpty,
+        plain: nonEmpty
+            .map(block => block.type === 'paragraph' ? block.text : block.lines.map(line => line.text).join('\n'))
+            .join('\n\n')
+    }
+}
+
+/**
+ * Structured content of a rendered page at `url`
+ */
+export function extractContent($, url, serverRoot) {
+    const path = SnapshotCache.normalizePath(new URL(url).pathname)
+    const pageType = getPageType(path)
+    return {
+        url,
+        pageType,
+        metadata: pageType
+            ? extractMetadataFromHtml($, pageType, url)
+            : { pageTitle: $('title').text() },
+        text: extractText($),
+        links: extractLinks($, url, serverRoot),
+        error: null
+    }
+}
+
+export default {
+    extractText,
+    extractContent
+}
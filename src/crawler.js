@@ -1,23 +1,30 @@
+import logger from './logger'
 
-
-async function crawler({ browser, pagePool, url }) {
+/**
+ * Render a page and return its HTML, along with the URL the page ended up on
+ * after any client-side redirect
+ * Phase durations (ms) are recorded in `timings`; page console output and
+ * errors are logged through `log`, so they are tied to the request
+ */
+async function crawler({ browser, pagePool, url, log = logger, timings = {} }) {
 
     let page = null
     let html = false
+    let finalUrl = url
     let fromPool = false
 
-    console.log(`[Crawler] pagePool available: ${!!pagePool}`)
-
     try {
+        let phaseStart = Date.now()
+
         // Try to get page from pool, fallback to creating new page
         if (pagePool) {
-            console.log('[Crawler] Using page pool')
             page = await pagePool.acquire()
             fromPool = true
         } else {
-            console.log('[Crawler] Creating new page (no pool)')
+            log.debug('Creating new page (no pool)')
             page = await browser.newPage()
         }
+        timings.poolWait = Date.now() - phaseStart
 
         await page.setUserAgent("littb-snapshot")
 
@@ -33,14 +40,23 @@ async function crawler({ browser, pagePool, url }) {
             }
         })
 
+        page.on('console', msg => {
+            log.debug('Page console', { type: msg.type(), text: msg.text() })
+        })
         page.on('pageerror', pageerr => {
-            console.log('pageerror occurred: ', pageerr);
+            log.warn('Page error', { error: pageerr })
         })
 
         // networkidle2: faster than networkidle0 - allows up to 2 network connections
         // instead of waiting for complete silence (500ms with 0 connections)
+        phaseStart = Date.now()
         await page.goto(url, { waitUntil: "networkidle2", timeout: 15000 })
+        timings.navigation = Date.now() - phaseStart
+
+        phaseStart = Date.now()
         html = await page.content()
+        finalUrl = page.url()
+        timings.content = Date.now() - phaseStart
     } catch (e) {
         throw e
     } finally {
@@ -54,7 +70,7 @@ async function crawler({ browser, pagePool, url }) {
             }
         }
     }
-    return html
+    return { html, finalUrl }
 }
 
-export default crawler
\ No newline at end of file
+export default crawler
@@ -0,0 +1,181 @@
+/**
+ * File Cache Store
+ *
+ * Keeps cache entries on disk, one data file and one metadata file per key,
+ * so they survive restarts.
+ *
+ * The index is kept in memory by each process, so a directory must not be
+ * shared between instances: one would never see the others' entries, and its
+ * evictions would delete files they still index. Use the redis backend to share.
+ *
+ * - Total size on disk is capped at `maxBytes`, least recently used entries are evicted first
+ * - Expired entries are removed when read, and when the index is rebuilt on startup
+ */
+
+import fs from 'fs/promises'
+import nodePath from 'path'
+import crypto from 'crypto'
+import logger from './logger'
+
+const log = logger.child({ component: 'FileStore' })
+
+class FileStore {
+    constructor({ dir, maxBytes = 500 * 1024 * 1024 }) {
+        this.dir = dir
+        this.maxBytes = maxBytes
+        // key -> { hash, size, meta }, kept in least recently used order
+        this.entries = new Map()
+        this.totalBytes = 0
+        this.initialized = false
+    }
+
+    /**
+     * Create the cache directory and load the index of existing entries
+     */
+    async init() {
+        if (this.initialized) return
+
+        await fs.mkdir(this.dir, { recursive: true })
+
+        const records = []
+        for (const file of await fs.readdir(this.dir)) {
+            if (!file.endsWith('.json')) continue
+            try {
+                records.push(JSON.parse(await fs.readFile(nodePath.join(this.dir, file), 'utf8')))
+            } catch (e) {
+                log.error('Skipping unreadable entry', { file, error: e })
+            }
+        }
+
+        // Oldest first, so the most recently written entries are evicted last
+        records.sort((a, b) => a.meta?.createdAt - b.meta?.createdAt)
+        const now = Date.now()
+        for (const record of records) {
+            // Expired, or written by an older version without expiry
+            if (!record.meta || record.meta.expiresAt <= now) {
+                await this.removeFiles(record.hash)
+                continue
+            }
+            this.entries.set(record.key, { hash: record.hash, size: record.size, meta: record.meta })
+            this.totalBytes += record.size
+        }
+
+        this.initialized = true
+        log.info('Loaded cache index', { entries: this.entries.size, bytes: this.totalBytes, dir: this.dir })
+        await this.evict()
+    }
+
+    /**
+     * Return { value, meta } for a key, or null if missing or expired
+     */
+    async get(key) {
+        const entry = this.entries.get(key)
+        if (!entry) return null
+
+        if (entry.meta.expiresAt <= Date.now()) {
+            await this.delete(key)
+            return null
+        }
+
+        let value
+        try {
+            value = await fs.readFile(this.filePath(entry.hash, '.data'))
+        } catch (e) {
+            // File removed behind our back - drop it from the index
+            this.entries.delete(key)
+            this.totalBytes -= entry.size
+            return null
+        }
+
+        // Move to the end of the map to mark as most recently used
+        this.entries.delete(key)
+        this.entries.set(key, entry)
+
+        return { value, meta: entry.meta }
+    }
+
+    /**
+     * Store a value (Buffer) with its metadata, which must include `expiresAt`
+     */
+    async set(key, value, meta) {
+        const hash = crypto.createHash('sha1').update(key).digest('hex')
+        const size = value.length
+
+        if (size > this.maxBytes) return
+
+        // Write to a temporary file and rename, so readers never see partial files
+        const dataPath = this.filePath(hash, '.data')
+        const tmpPath = `${dataPath}.${process.pid}.tmp`
+        await fs.writeFile(tmpPath, value)
+        await fs.rename(tmpPath, dataPath)
+        await fs.writeFile(this.filePath(hash, '.json'), JSON.stringify({ key, hash, size, meta }))
+
+        const previous = this.entries.get(key)
+        if (previous) {
+            this.entries.delete(key)
+            this.totalBytes -= previous.size
+        }
+        this.entries.set(key, { hash, size, meta })
+        this.totalBytes += size
+
+        await this.evict()
+    }
+
+    /**
+     * Remove a single entry from the index and from disk
+     */
+    async delete(key) {
+        const entry = this.entries.get(key)
+        if (!entry) return
+
+        this.entries.delete(key)
+        this.totalBytes -= entry.size
+        await this.removeFiles(entry.hash)
+    }
+
+    async removeFiles(hash) {
+        for (const ext of ['.data', '.json']) {
+            try {
+                await fs.unlink(this.filePath(hash, ext))
+            } catch (_) {}
+        }
+    }
+
+    /**
+     * Evict least recently used entries until the cache fits within maxBytes
+     */
+    async evict() {
+        while (this.totalBytes > this.maxBytes && this.entries.size) {
+            const oldestKey = this.entries.keys().next().value
+            log.debug('Evicting entry', { key: oldestKey })
+            await this.delete(oldestKey)
+        }
+    }
+
+    /**
+     * List stored keys starting with `prefix`
+     */
+    async keys(prefix) {
+        return [...this.entries.keys()].filter(key => key.startsWith(prefix))
+    }
+
+    filePath(hash, ext) {
+        return nodePath.join(this.dir, hash + ext)
+    }
+
+    async close() {}
+
+    /**
+     * Get store statistics
+     */
+    getStats() {
+        return {
+            backend: 'file',
+            entries: this.entries.size,
+            bytes: this.totalBytes,
+            maxBytes: this.maxBytes
+        }
+    }
+}
+
+export default FileStore
@@ -0,0 +1,129 @@
+/**
+ * Head Tags
+ *
+ * Injects the indexing directives of a snapshot next to its OG tags:
+ * - <link rel="canonical">, so variants of a URL (trailing slash, case,
+ *   encoding, /index.html.gz, _escaped_fragment_) are indexed as one page
+ * - <meta name="robots" content="noindex"> for search pages and error pages
+ * - <link rel="alternate" hreflang> for the language versions in HREFLANG
+ *
+ * Canonical URLs are percent-encoded without trailing slash by default, see
+ * CANONICAL_TRAILING_SLASH and CANONICAL_ENCODING.
+ */
+
+import SnapshotCache from './snapshot-cache'
+import { escapeHtml } from './og-preview'
+
+// 'remove' (default) or 'add'
+const TRAILING_SLASH = process.env.CANONICAL_TRAILING_SLASH === 'add' ? 'add' : 'remove'
+
+// 'percent' (default, /f%C3%B6rfattare/...) or 'unicode' (/författare/...)
+const ENCODING = process.env.CANONICAL_ENCODING === 'unicode' ? 'unicode' : 'percent'
+
+// Path prefixes of pages kept out of search indexes, such as search results
+const NOINDEX_PATHS = (process.env.NOINDEX_PATHS || '/sök,/sok,/search')
+    .split(',').map(prefix => prefix.trim()).filter(Boolean)
+
+// Language versions as lang=root pairs, e.g. "sv=https://litteraturbanken.se,x-default=https://litteraturbanken.se"
+const HREFLANG = (process.env.HREFLANG || '')
+    .split(',').map(pair => pair.trim().split('=')).filter(([lang, root]) => lang && root)
+    .map(([lang, root]) => ({ lang, root: root.replace(/\/$/, '') }))
+
+// Fixed route segments of the app, matched in any case and written in lowercase
+// Every other segment (author and title IDs, article names, ...) is kept as it is,
+// IDs are case-sensitive
+const ROUTE_SEGMENTS = [
+    'författare', 'titlar', 'sida', 'etext', 'faksimil',
+    'bibliotek', 'epub', 'ljudochbild', 'skolan', 'sök', 'sok'
+]
+
+// Segments following these are IDs, even when they look like route segments
+const ID_PARENTS = ['författare', 'titlar']
+
+/**
+ * Canonical form of a request path, decoded
+ */
+export function canonicalPath(urlPath) {
+    let path = SnapshotCache.normalizePath(urlPath.replace('/&_escaped_fragment_=', ''))
+    path = path.replace(/\/index\.html(\.gz)?$/, '') || '/'
+
+    const segments = path.split('/')
+    for (let i = 1; i < segments.length; i++) {
+        const segment = segments[i].toLowerCase()
+        if (ROUTE_SEGMENTS.includes(segment) && !ID_PARENTS.includes(segments[i - 1].toLowerCase())) {
+            segments[i] = segment
+        }
+    }
+    path = segments.join('/')
+
+    if (TRAILING_SLASH === 'add' && path !== '/') {
+        path += '/'
+    }
+    return path
+}
+
+/**
+ * Canonical URL of a page on `serverRoot`, encoded as CANONICAL_ENCODING says
+ */
+export function canonicalUrl(urlPath, serverRoot) {
+    const path = canonicalPath(urlPath)
+    return serverRoot + (ENCODING === 'percent' ? encodeURI(path) : path)
+}
+
+/**
+ * Robots directives for a page, or null to leave indexing to the defaults
+ */
+export function robotsDirectives(urlPath) {
+    const path = SnapshotCache.normalizePath(urlPath).toLowerCase()
+    if (NOINDEX_PATHS.some(prefix => path === prefix || path.startsWith(prefix + '/'))) {
+        // Results aren't worth indexing, the pages they link to are
+        return 'noindex, follow'
+    }
+    return null
+}
+
+/**
+ * Replace the canonical, robots and hreflang tags of a snapshot
+ * Prepended to <head>, like the OG tags, so they come before the inlined CSS
+ */
+export function injectHeadTags($, urlPath, serverRoot) {
+    $('link[rel="canonical"], meta[name="robots"], link[rel="alternate"][hreflang]').remove()
+
+    const tags = [`<link rel="canonical" href="${escapeHtml(canonicalUrl(urlPath, serverRoot))}">`]
+    const robots = robotsDirectives(urlPath)
+    if (robots) {
+        tags.push(`<meta name="robots" content="${robots}">`)
+    }
+    for (const { lang, root } of HREFLANG) {
+        tags.push(`<link rel="alternate" hreflang="${escapeHtml(lang)}" href="${escapeHtml(canonicalUrl(urlPath, root))}">`)
+    }
+
+    $('head').prepend('\n' + tags.join('\n') + '\n')
+    return $
+}
+
+/**
+ * Minimal HTML page for an error response, kept out of search indexes
+ */
+export function errorPage(status, message) {
+    return `<!DOCTYPE html>
+<html lang="sv">
+<head>
+<meta charset="utf-8">
+<meta name="robots" content="noindex">
+<title>${escapeHtml(message || status)}</title>
+</head>
+<body>
+<p>${escapeHtml(message || status)}</p>
+</body>
+</html>
+`
+}
+
+export default {
+    canonicalPath,
+    canonicalUrl,
+    robotsDirectives,
+    injectHeadTags,
+    errorPage
+}
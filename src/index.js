@@ -1,72 +1,162 @@
 import express from "express"
 import { createProxyMiddleware } from "http-proxy-middleware"
 import crawler from "./crawler"
-import ogPreview from "./og-preview"
-import PagePool from "./page-pool"
+import ogPreview, { LineSelectionError } from "./og-preview"
+import PagePool, { PoolBusyError } from "./page-pool"
+import BrowserSupervisor, { BrowserUnavailableError } from "./browser-supervisor"
+import SnapshotCache from "./snapshot-cache"
+import { createCache } from "./cache"
+import SingleFlight from "./single-flight"
+import { Registry, Counter, Gauge, Histogram, processTreeMemory } from "./metrics"
+import logger from "./logger"
+import { validateSnapshot } from "./validation"
+import structuredData from "./structured-data"
+import { pageSelector, purge, parseImageKey, PurgeRequestError } from "./purge"
+import Prewarm from "./prewarm"
+import LinkGraph, { extractLinks, FileGraphStore, RedisGraphStore } from "./link-graph"
+import sitemap from "./sitemap"
+import oembed, { OembedError } from "./oembed"
+import pdfExport, { PdfRequestError } from "./pdf-export"
+import { extractContent } from "./content-extract"
+import { parseSteps, slimHtml } from "./slim"
+import headTags from "./head-tags"
 
 import puppeteer from "puppeteer"
 import url from "url"
+import os from "os"
+import nodePath from "path"
+import crypto from "crypto"
 import * as cheerio from "cheerio"
 
-let browser = null
-let pagePool = null
-let browserError = null // tracks browser-level failures for health check
-let browserInitializing = false // prevent concurrent initialization
-
-function isBrowserError(error) {
-    // Only true browser/frame crashes should destroy the pool, not page-level errors
-    // Page timeouts and navigation errors are NOT browser errors
-    const msg = error.message || ''
-    if (msg.includes('detached Frame')) return true
-    return error.name === 'ProtocolError' && (
-        msg.includes('Browser closed') ||
-        msg.includes('Connection closed') ||
-        msg.includes('Session closed')
-    )
-}
+const POOL_SIZE = Number(process.env.POOL_SIZE || 5)
+const POOL_MAX_PAGES = Number(process.env.POOL_MAX_PAGES || 10)
+const POOL_MAX_QUEUE = Number(process.env.POOL_MAX_QUEUE || 50)
+const POOL_WAIT_TIMEOUT = Number(process.env.POOL_WAIT_TIMEOUT || 10) * 1000
+const POOL_PAGE_MAX_USES = Number(process.env.POOL_PAGE_MAX_USES || 100)
+const POOL_PAGE_MAX_AGE = Number(process.env.POOL_PAGE_MAX_AGE || 30) * 60 * 1000
+const POOL_ISOLATE_CONTEXTS = process.env.POOL_ISOLATE_CONTEXTS === "true"
+
+const supervisor = new BrowserSupervisor({
+    launch: () => puppeteer.launch({
+        executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined,
+        args: ["--no-sandbox", '--disable-dev-shm-usage', '--disable-setuid-sandbox']
+    }),
+    // Initialize page pool with 5 pages (balances memory usage vs performance)
+    // and cap concurrent pages so a burst cannot exhaust Chromium's memory
+    createPool: browser => new PagePool(browser, POOL_SIZE, {
+        maxPages: POOL_MAX_PAGES,
+        maxQueue: POOL_MAX_QUEUE,
+        waitTimeout: POOL_WAIT_TIMEOUT,
+        maxUses: POOL_PAGE_MAX_USES,
+        maxAge: POOL_PAGE_MAX_AGE,
+        isolateContexts: POOL_ISOLATE_CONTEXTS
+    }),
+    minBackoff: Number(process.env.BROWSER_MIN_BACKOFF || 1) * 1000,
+    maxBackoff: Number(process.env.BROWSER_MAX_BACKOFF || 60) * 1000
+})
+
+// Passed to the image, metadata and PDF generators, which only call it on a cache miss,
+// so cached results are still served while the circuit is open
+const acquireBrowser = () => supervisor.acquire()
+
+const SERVER_ROOT = process.env.SERVER_ROOT || "https://litteraturbanken.se"
+const OG_IMAGE_BASE_URL = process.env.OG_IMAGE_BASE_URL || SERVER_ROOT
+
+// Rendered snapshots are cached; set SNAPSHOT_CACHE_TTL=0 to disable
+const SNAPSHOT_CACHE_TTL = Number(process.env.SNAPSHOT_CACHE_TTL ?? 24 * 60 * 60) * 1000
+const SNAPSHOT_CACHE_MAX_STALE = Number(process.env.SNAPSHOT_CACHE_MAX_STALE ?? 7 * 24 * 60 * 60) * 1000
 
-async function closeBrowser() {
-    if (pagePool) {
-        try { await pagePool.destroy() } catch(_) {}
-        pagePool = null
+const CACHE_BACKEND = process.env.CACHE_BACKEND || "file"
+const REDIS_URL = process.env.REDIS_URL || "redis://127.0.0.1:6379"
+const REDIS_PREFIX = process.env.REDIS_PREFIX || "littb-snapshot:"
+
+// Shared cache for snapshots, OG images and OG metadata
+const cache = createCache({
+    backend: CACHE_BACKEND,
+    dir: process.env.CACHE_DIR || nodePath.join(os.tmpdir(), "littb-snapshot-cache"),
+    maxBytes: Number(process.env.CACHE_MAX_MB || 500) * 1024 * 1024,
+    redisUrl: REDIS_URL,
+    redisPrefix: REDIS_PREFIX,
+    ttls: {
+        // Stale snapshots are kept as fallbacks, see SnapshotCache
+        "snapshot": SNAPSHOT_CACHE_TTL > 0 ? SNAPSHOT_CACHE_TTL + SNAPSHOT_CACHE_MAX_STALE : 0,
+        "og-image": Number(process.env.CACHE_TTL_OG_IMAGE ?? 60 * 60) * 1000,
+        "og-meta": Number(process.env.CACHE_TTL_OG_META ?? 60 * 60) * 1000,
+        // Line selections not found on their page, short-lived so corrected pages are picked up
+        "og-selection-miss": Number(process.env.CACHE_TTL_OG_SELECTION_MISS ?? 5 * 60) * 1000,
+        "pdf": Number(process.env.CACHE_TTL_PDF ?? 24 * 60 * 60) * 1000
     }
-    if (browser) {
-        try { await browser.close() } catch(_) {}
-        browser = null
+})
+const snapshotCache = SNAPSHOT_CACHE_TTL > 0 ? new SnapshotCache({
+    cache,
+    ttl: SNAPSHOT_CACHE_TTL,
+    maxStale: SNAPSHOT_CACHE_MAX_STALE
+}) : null
+
+// Internal links of rendered pages, for the sitemap and the link report
+// Kept out of the cache, so pages aren't evicted from the sitemap; shared in Redis with the redis backend
+const linkGraph = new LinkGraph({
+    store: CACHE_BACKEND === "redis"
+        ? new RedisGraphStore({ url: REDIS_URL, key: REDIS_PREFIX + "link-graph" })
+        : new FileGraphStore({ path: process.env.LINK_GRAPH_FILE || nodePath.join(os.tmpdir(), "littb-link-graph.jsonl") }),
+    // Pages drop out of the sitemap when not rendered again within this time
+    maxAge: Number(process.env.LINK_GRAPH_MAX_AGE ?? 30 * 24 * 60 * 60) * 1000
+})
+
+// Status for pages the app redirects to another path after loading
+const CLIENT_REDIRECT_STATUS = Number(process.env.CLIENT_REDIRECT_STATUS || 301)
+
+// Hard limit on how long a snapshot request waits for its render
+const RENDER_DEADLINE = Number(process.env.RENDER_DEADLINE || 12) * 1000
+
+class RenderTimeoutError extends Error {
+    constructor(ms) {
+        super(`Render did not complete within ${ms}ms`)
+        this.name = 'RenderTimeoutError'
     }
 }
 
-async function ensureBrowser() {
-    // If already initializing, wait for it to complete
-    while (browserInitializing) {
-        await new Promise(resolve => setTimeout(resolve, 50))
-    }
+function withDeadline(promise, ms) {
+    let timer
+    const deadline = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new RenderTimeoutError(ms)), ms)
+    })
+    return Promise.race([promise, deadline]).finally(() => clearTimeout(timer))
+}
 
-    if (!browser || !browser.connected) {
-        browserInitializing = true
-        try {
-            browser = await puppeteer.launch({
-                executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined,
-                args: ["--no-sandbox", '--disable-dev-shm-usage', '--disable-setuid-sandbox']
-            })
-            browserError = null
-
-            // Initialize page pool with 5 pages (balances memory usage vs performance)
-            pagePool = new PagePool(browser, 5)
-            await pagePool.init()
-        } finally {
-            browserInitializing = false
-        }
+/**
+ * Seconds after which to retry when the renderer is overloaded or down, null for other errors
+ */
+function retryAfterFor(error) {
+    if (error instanceof PoolBusyError || error instanceof BrowserUnavailableError) {
+        return error.retryAfter
     }
+    return null
 }
 
-const SERVER_ROOT = process.env.SERVER_ROOT || "https://litteraturbanken.se"
-const OG_IMAGE_BASE_URL = process.env.OG_IMAGE_BASE_URL || SERVER_ROOT
+// Post-processing of snapshot HTML, see src/slim.js. Unknown steps fail at startup
+const SNAPSHOT_SLIM_STEPS = parseSteps(process.env.SNAPSHOT_SLIM_STEPS)
+
+// Send robots directives as an X-Robots-Tag header too, for crawlers that only read headers
+const X_ROBOTS_TAG = process.env.X_ROBOTS_TAG === "true"
+
+/**
+ * Path the app redirected to client-side, or null if it stayed on the requested path
+ * Only redirects within SERVER_ROOT count, trailing slashes and encoding are ignored
+ */
+function getClientRedirect(requestedUrl, finalUrl) {
+    const requested = new URL(requestedUrl)
+    const final = new URL(finalUrl)
+    if (final.origin !== requested.origin) return null
 
-function cleanHtml(html) {
-    const $ = cheerio.load(html)
-    $("script[src]").remove()
-    return $.html()
+    const normalize = pathname => {
+        try {
+            pathname = decodeURIComponent(pathname)
+        } catch (_) {}
+        return pathname.length > 1 ? pathname.replace(/\/$/, "") : pathname
+    }
+    if (normalize(final.pathname) === normalize(requested.pathname)) return null
+    return final.pathname + final.search
 }
 
 function getErrors($) {
@@ -82,81 +172,387 @@ function getErrors($) {
     return {errType, errMsg}
 }
 
+// Concurrent requests for the same render share one page load. This also lets a
+// snapshot render that missed its deadline be picked up by later requests.
+const renders = new SingleFlight()
+
+function renderSnapshot(path, log) {
+    return renders.run("snapshot", SERVER_ROOT + path, () => doRenderSnapshot(path, log))
+}
+
+/**
+ * Render a snapshot; the result carries phase timings in ms.
+ * A coalesced request gets the result and timings of the render it joined.
+ */
+async function doRenderSnapshot(path, log) {
+    const { browser, pagePool } = await supervisor.acquire()
+
+    const from = SERVER_ROOT + path
+    const timings = {}
+    let content, finalUrl
+    try {
+        ;({ html: content, finalUrl } = await crawler({ url : from, browser, pagePool, log, timings }))
+    } catch(e) {
+        supervisor.reportError(e)
+        throw e
+    }
+
+    const redirectPath = getClientRedirect(from, finalUrl)
+    if (redirectPath) {
+        log.info("Client-side redirect", { path, location: redirectPath })
+        linkGraph.record(path, { status: CLIENT_REDIRECT_STATUS })
+        return { redirect: SERVER_ROOT + redirectPath, timings }
+    }
+
+    const postProcessStart = Date.now()
+    const $ = cheerio.load(content)
+    const {errMsg, errType} = getErrors($)
+    if (errType) {
+        linkGraph.record(path, { status: errType })
+        timings.postProcess = Date.now() - postProcessStart
+        return {errMsg, errType, timings}
+    }
+
+    const invalid = validateSnapshot(path, $)
+    if (invalid) {
+        log.warn("Snapshot failed validation", { path, rule: invalid.rule, errMsg: invalid.errMsg })
+        linkGraph.record(path, { status: invalid.errType })
+        timings.postProcess = Date.now() - postProcessStart
+        return {errMsg: invalid.errMsg, errType: invalid.errType, timings}
+    }
+
+    // Collected before any tags are injected, so only the app's own links count
+    const links = extractLinks($, from, SERVER_ROOT)
+
+    // Inject OG tags for reader, author, title and listing pages
+    if (ogPreview.getPageType(path)) {
+        try {
+            // Use SERVER_ROOT for OG image URLs in production
+            // This ensures the public URL is used, not the internal service URL
+            ogPreview.injectOgTags($, from, SERVER_ROOT)
+            content = $.html()
+        } catch(e) {
+            log.error("Error injecting OG tags", { error: e })
+        }
+    }
+
+    // Inject canonical, robots and hreflang tags on every page
+    try {
+        headTags.injectHeadTags($, path, SERVER_ROOT)
+        content = $.html()
+    } catch(e) {
+        log.error("Error injecting head tags", { error: e })
+    }
+
+    // Inject schema.org JSON-LD for reader and author pages
+    try {
+        structuredData.injectJsonLd($, from, SERVER_ROOT)
+        content = $.html()
+    } catch(e) {
+        log.error("Error injecting structured data", { error: e })
+    }
+
+    const { html, bytes, saved } = slimHtml(content, { url: from, steps: SNAPSHOT_SLIM_STEPS })
+    log.info("Slimmed snapshot", { path, bytesBefore: bytes.before, bytesAfter: bytes.after, saved })
+    const createdAt = Date.now()
+    timings.postProcess = createdAt - postProcessStart
+    if (snapshotCache) {
+        // Only successful renders are cached
+        await snapshotCache.set(path, html, createdAt)
+    }
+    linkGraph.record(path, { status: 200, renderedAt: createdAt, links })
+    return { html, createdAt, timings }
+}
+
+/**
+ * Page path of a `/{*splat}` route
+ * Express 5 returns the splat as an array of segments; without one (`/og-image/`) it is the home page
+ */
+function splatPath(req) {
+    const splat = req.params.splat
+    const path = Array.isArray(splat) ? splat.join('/') : (splat || '')
+    return path.startsWith('/') ? path : '/' + path
+}
+
+/**
+ * Set a content-hash ETag and Last-Modified on a response
+ * res.send() then answers 304 by itself when the request's If-None-Match or
+ * If-Modified-Since matches them (see req.fresh)
+ */
+function setValidators(res, body, lastModified) {
+    res.set("ETag", `"${crypto.createHash("sha1").update(body).digest("base64url")}"`)
+    res.set("Last-Modified", new Date(lastModified).toUTCString())
+}
+
+/**
+ * Send a snapshot as HTML, or with `asJson` as its structured content (see content-extract.js)
+ */
+function sendSnapshot(res, path, html, createdAt, asJson) {
+    let body = html
+    if (asJson) {
+        body = JSON.stringify(extractContent(cheerio.load(html), SERVER_ROOT + path, SERVER_ROOT))
+        res.type('json')
+    } else {
+        res.type('html')
+    }
+    const robots = headTags.robotsDirectives(path)
+    if (X_ROBOTS_TAG && robots) {
+        res.set("X-Robots-Tag", robots)
+    }
+    setValidators(res, body, createdAt)
+    res.send(body)
+}
+
+function sendCachedSnapshot(res, path, cached, asJson, warning = '110 - "Response is Stale"') {
+    res.set("Age", String(Math.floor((Date.now() - cached.createdAt) / 1000)))
+    if (cached.stale) {
+        res.set("X-Snapshot-Cache", "STALE")
+        res.set("Cache-Control", "public, max-age=0, must-revalidate")
+        res.set("Warning", warning)
+    } else {
+        res.set("X-Snapshot-Cache", "HIT")
+    }
+    sendSnapshot(res, path, cached.html, cached.createdAt, asJson)
+}
+
+/**
+ * Send an error from a render; JSON clients get the getErrors code and message,
+ * others a noindex HTML page, so error pages don't end up in search indexes
+ */
+function sendSnapshotError(res, path, status, message, asJson) {
+    res.status(status)
+    if (X_ROBOTS_TAG) {
+        res.set("X-Robots-Tag", "noindex")
+    }
+    if (asJson) {
+        res.json({ url: SERVER_ROOT + path, error: { code: status, message } })
+    } else {
+        res.type('html').send(headTags.errorPage(status, message))
+    }
+}
+
 const app = express()
 
+// Request ID and access log. The ID is taken from a well-formed upstream X-Request-Id if present
+app.use((req, res, next) => {
+    const upstreamId = req.get("X-Request-Id")
+    req.id = /^[\w.:-]{1,128}$/.test(upstreamId || "") ? upstreamId : crypto.randomUUID()
+    res.set("X-Request-Id", req.id)
+    req.log = logger.child({ requestId: req.id })
+    req.timings = {}
+
+    const start = Date.now()
+    res.on("finish", () => {
+        const quiet = req.path === "/healthz" || req.path === "/metrics"
+        req.log[quiet ? "debug" : "info"]("Request completed", {
+            method: req.method,
+            path: req.path,
+            status: res.statusCode,
+            durationMs: Date.now() - start,
+            timings: req.timings,
+            errType: res.locals.errType,
+            errMsg: res.locals.errMsg,
+            cache: res.get("X-Snapshot-Cache")
+        })
+    })
+    next()
+})
+
 app.use(['/txt', '/img', '/red', "/fonts", "/favicon.ico"], createProxyMiddleware({ target: 'https://litteraturbanken.se', changeOrigin: true }))
 app.use(/(.*\.css$)/, createProxyMiddleware({ target: 'https://litteraturbanken.se', changeOrigin: true }))
 
+// Metrics, exposed in Prometheus format on /metrics
+const metrics = new Registry()
+const renderDuration = metrics.register(new Histogram("littb_render_duration_seconds",
+    "Time to answer a render request, by route", [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 15, 30]))
+const renderResponses = metrics.register(new Counter("littb_render_responses_total",
+    "Render responses by route and status code"))
+const cacheRequests = metrics.register(new Counter("littb_cache_requests_total",
+    "Cache lookups by cache and result"))
+const cacheEntries = metrics.register(new Gauge("littb_cache_entries", "Entries in the shared cache, by backend"))
+const cacheBytes = metrics.register(new Gauge("littb_cache_bytes", "Size of the shared cache, by backend"))
+const poolPages = metrics.register(new Gauge("littb_pool_pages", "Browser pages by state"))
+const poolQueued = metrics.register(new Gauge("littb_pool_queued_requests", "Requests waiting for a page"))
+const poolEvents = metrics.register(new Counter("littb_pool_events_total",
+    "Page pool events: recycled and replaced pages, queue-full and timed-out waits"))
+const coalescedRenders = metrics.register(new Counter("littb_renders_coalesced_total",
+    "Requests that joined an in-flight render, by render kind"))
+const browserUp = metrics.register(new Gauge("littb_browser_up", "Whether Chromium is running"))
+const browserRestarts = metrics.register(new Counter("littb_browser_restarts_total", "Chromium restarts"))
+const browserUptime = metrics.register(new Gauge("littb_browser_uptime_seconds", "Seconds since Chromium was launched"))
+const browserMemory = metrics.register(new Gauge("littb_browser_memory_bytes",
+    "Resident memory of the Chromium process tree"))
+
+metrics.collect(async () => {
+    const cacheStats = cache.getStats()
+    for (const kind of ["og-image", "og-meta"]) {
+        const kindStats = cacheStats.kinds[kind] || { hits: 0, misses: 0 }
+        cacheRequests.set({ cache: kind, result: "hit" }, kindStats.hits)
+        cacheRequests.set({ cache: kind, result: "miss" }, kindStats.misses)
+    }
+    if (cacheStats.entries !== null) {
+        cacheEntries.set({ backend: cacheStats.backend }, cacheStats.entries)
+        cacheBytes.set({ backend: cacheStats.backend }, cacheStats.bytes)
+    }
+    if (snapshotCache) {
+        const snapshotStats = snapshotCache.getStats()
+        cacheRequests.set({ cache: "snapshot", result: "hit" }, snapshotStats.hits)
+        cacheRequests.set({ cache: "snapshot", result: "stale" }, snapshotStats.staleHits)
+        cacheRequests.set({ cache: "snapshot", result: "miss" }, snapshotStats.misses)
+    }
+
+    if (supervisor.pagePool) {
+        const poolStats = supervisor.pagePool.getStats()
+        poolPages.set({ state: "busy" }, poolStats.busy)
+        poolPages.set({ state: "available" }, poolStats.available)
+        poolPages.set({ state: "temporary" }, poolStats.temporary)
+        poolQueued.set({}, poolStats.queued)
+        poolEvents.set({ event: "recycled" }, poolStats.recycled)
+        poolEvents.set({ event: "replaced" }, poolStats.replaced)
+        poolEvents.set({ event: "queue_full" }, poolStats.waits.queueFull)
+        poolEvents.set({ event: "wait_timeout" }, poolStats.waits.timedOut)
+    }
+
+    for (const [kind, stats] of Object.entries(renders.getStats())) {
+        coalescedRenders.set({ kind }, stats.coalesced)
+    }
+
+    const browserStats = supervisor.getStats()
+    browserUp.set({}, browserStats.connected ? 1 : 0)
+    browserRestarts.set({}, browserStats.restarts)
+    browserUptime.set({}, browserStats.uptime)
+    const pid = supervisor.browser?.process()?.pid
+    const memory = pid ? await processTreeMemory(pid) : null
+    if (memory !== null) {
+        browserMemory.set({}, memory)
+    }
+})
+
+/**
+ * Route label for render metrics, null for requests that aren't renders
+ */
+function metricsRoute(path) {
+    if (path === "/healthz" || path === "/metrics" || path.startsWith("/admin/")) return null
+    if (/^\/sitemap(-\d+)?\.xml$/.test(path)) return null
+    if (path === "/oembed") return "oembed"
+    if (path.startsWith("/api/extract/")) return "extract"
+    const match = path.match(/^\/(og-image|og-meta|og|pdf)\//)
+    return match ? match[1] : "snapshot"
+}
+
+app.use((req, res, next) => {
+    const route = metricsRoute(req.path)
+    if (!route) return next()
+
+    const start = process.hrtime.bigint()
+    res.on('finish', () => {
+        renderDuration.observe({ route }, Number(process.hrtime.bigint() - start) / 1e9)
+        renderResponses.inc({ route, status: res.statusCode })
+    })
+    next()
+})
+
+app.get('/metrics', async (req, res) => {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8')
+    res.send(await metrics.render())
+})
+
 // Health check endpoint
 app.get('/healthz', (req, res) => {
-    if (browserError) {
-        return res.status(503).json({ status: 'unhealthy', error: browserError })
+    const browserStats = supervisor.getStats()
+    if (browserStats.state === 'backoff') {
+        return res.status(503).json({ status: 'unhealthy', error: browserStats.lastError, browser: browserStats })
     }
-    const poolStats = pagePool ? pagePool.getStats() : null
+    const poolStats = supervisor.pagePool ? supervisor.pagePool.getStats() : null
     res.status(200).json({
         status: 'ok',
-        browser: browser?.connected ?? false,
-        pagePool: poolStats
+        browser: browserStats,
+        pagePool: poolStats,
+        renders: renders.getStats(),
+        cache: cache.getStats(),
+        snapshotCache: snapshotCache ? snapshotCache.getStats() : null
     })
 })
 
 // OG Preview Image endpoint - returns JPEG image for social media previews
 app.get('/og-image/{*splat}', async function(req, res) {
-    await ensureBrowser()
+    const path = splatPath(req)
+
+    // Only allow page types that have a preview
+    if (!ogPreview.getPageType(path)) {
+        return res.status(400).json({ error: 'OG preview only available for reader, author, title and listing pages' })
+    }
 
-    // Express 5 returns splat as array, join with /
-    let path = Array.isArray(req.params.splat) ? req.params.splat.join('/') : (req.params.splat || req.params[0])
-    if (!path.startsWith('/')) {
-        path = '/' + path
+    let selection
+    try {
+        selection = ogPreview.parseLineSelection(req.query, path)
+    } catch(e) {
+        return res.status(e.status).json({ error: e.message })
     }
 
-    // Only allow reader pages
-    if (!ogPreview.isReaderPage(path)) {
-        return res.status(400).json({ error: 'OG preview only available for reader pages (URLs containing /sida/)' })
+    // Size preset and format; without ?format= the format is negotiated from Accept
+    const size = req.query.size || 'large'
+    if (!Object.hasOwn(ogPreview.OG_IMAGE_SIZES, size)) {
+        return res.status(400).json({ error: `Unknown size, expected one of: ${Object.keys(ogPreview.OG_IMAGE_SIZES).join(', ')}` })
     }
+    if (req.query.format && !Object.hasOwn(ogPreview.OG_IMAGE_FORMATS, req.query.format)) {
+        return res.status(400).json({ error: `Unknown format, expected one of: ${Object.keys(ogPreview.OG_IMAGE_FORMATS).join(', ')}` })
+    }
+    const format = req.query.format || ogPreview.negotiateImageFormat(req.get('Accept'))
 
     const targetUrl = SERVER_ROOT + path
+    const selectionKey = selection ? `${targetUrl}?${ogPreview.selectionQuery(selection)}` : targetUrl
 
     try {
-        const imageBuffer = await ogPreview.generateOgImage({ browser, pagePool, url: targetUrl })
+        const { image, createdAt } = await renders.run("og-image", `${selectionKey} ${size}.${format}`,
+            () => ogPreview.generateOgImage({ acquireBrowser, cache, url: targetUrl, selection, size, format }))
 
         // Set headers explicitly for social media crawlers
-        res.set('Content-Type', 'image/jpeg')
-        res.set('Content-Length', imageBuffer.length)
-        res.set('Cache-Control', 'public, max-age=86400, immutable') // Cache for 24 hours
-        res.set('Vary', 'Accept-Encoding')
+        // Not immutable: the image changes when the page's text is corrected
+        res.set('Content-Type', ogPreview.OG_IMAGE_FORMATS[format].type)
+        res.set('Cache-Control', 'public, max-age=86400') // Cache for 24 hours
+        res.set('Vary', req.query.format ? 'Accept-Encoding' : 'Accept, Accept-Encoding')
         res.set('X-Content-Type-Options', 'nosniff')
-        res.send(imageBuffer)
+        setValidators(res, image, createdAt)
+        res.send(image)
     } catch(e) {
-        console.error("OG image generation error:", e)
-        if (isBrowserError(e)) {
-            browserError = e.message
-            await closeBrowser()
+        if (e instanceof LineSelectionError) {
+            return res.status(e.status).json({ error: e.message })
         }
+        req.log.error("OG image generation error", { error: e })
+        const retryAfter = retryAfterFor(e)
+        if (retryAfter) {
+            res.set('Retry-After', String(retryAfter))
+            return res.status(503).json({ error: 'Renderer unavailable, try again later', message: e.message })
+        }
+        supervisor.reportError(e)
         res.status(500).json({ error: 'Failed to generate OG image', message: e.message })
     }
 })
 
 // OG Meta Tags endpoint - returns HTML meta tags to inject into <head>
 app.get('/og-meta/{*splat}', async function(req, res) {
-    await ensureBrowser()
+    const path = splatPath(req)
 
-    // Express 5 returns splat as array, join with /
-    let path = Array.isArray(req.params.splat) ? req.params.splat.join('/') : (req.params.splat || req.params[0])
-    if (!path.startsWith('/')) {
-        path = '/' + path
+    // Only allow page types that have a preview
+    if (!ogPreview.getPageType(path)) {
+        return res.status(400).json({ error: 'OG meta only available for reader, author, title and listing pages' })
     }
 
-    // Only allow reader pages
-    if (!ogPreview.isReaderPage(path)) {
-        return res.status(400).json({ error: 'OG meta only available for reader pages (URLs containing /sida/)' })
+    let selection
+    try {
+        selection = ogPreview.parseLineSelection(req.query, path)
+    } catch(e) {
+        return res.status(e.status).json({ error: e.message })
     }
 
     const targetUrl = SERVER_ROOT + path
-    const ogImageUrl = OG_IMAGE_BASE_URL + '/og-image' + path
+    const query = selection ? '?' + ogPreview.selectionQuery(selection) : ''
+    const ogImageUrl = OG_IMAGE_BASE_URL + '/og-image' + path + query
 
     try {
-        const metadata = await ogPreview.extractMetadata({ browser, pagePool, url: targetUrl })
+        const { metadata, createdAt } = await renders.run("og-meta", targetUrl + query,
+            () => ogPreview.extractMetadata({ acquireBrowser, cache, url: targetUrl, selection }))
         const metaTags = ogPreview.generateOgMetaTags({
             url: targetUrl,
             imageUrl: ogImageUrl,
@@ -165,119 +561,499 @@ app.get('/og-meta/{*splat}', async function(req, res) {
 
         res.set('Content-Type', 'text/html; charset=utf-8')
         res.set('Cache-Control', 'public, max-age=86400') // Cache for 24 hours
+        setValidators(res, metaTags, createdAt)
         res.send(metaTags)
     } catch(e) {
-        console.error("OG meta extraction error:", e)
-        if (isBrowserError(e)) {
-            browserError = e.message
-            await closeBrowser()
+        if (e instanceof LineSelectionError) {
+            return res.status(e.status).json({ error: e.message })
+        }
+        req.log.error("OG meta extraction error", { error: e })
+        const retryAfter = retryAfterFor(e)
+        if (retryAfter) {
+            res.set('Retry-After', String(retryAfter))
+            return res.status(503).json({ error: 'Renderer unavailable, try again later', message: e.message })
         }
+        supervisor.reportError(e)
         res.status(500).json({ error: 'Failed to extract OG metadata', message: e.message })
     }
 })
 
 // Combined OG endpoint - returns JSON with both image URL and meta tags
 app.get('/og/{*splat}', async function(req, res) {
-    await ensureBrowser()
+    const path = splatPath(req)
 
-    // Express 5 returns splat as array, join with /
-    let path = Array.isArray(req.params.splat) ? req.params.splat.join('/') : (req.params.splat || req.params[0])
-    if (!path.startsWith('/')) {
-        path = '/' + path
+    // Only allow page types that have a preview
+    if (!ogPreview.getPageType(path)) {
+        return res.status(400).json({ error: 'OG meta only available for reader, author, title and listing pages' })
     }
 
-    // Only allow reader pages
-    if (!ogPreview.isReaderPage(path)) {
-        return res.status(400).json({ error: 'OG preview only available for reader pages (URLs containing /sida/)' })
+    let selection
+    try {
+        selection = ogPreview.parseLineSelection(req.query, path)
+    } catch(e) {
+        return res.status(e.status).json({ error: e.message })
     }
 
     const targetUrl = SERVER_ROOT + path
-    const ogImageUrl = OG_IMAGE_BASE_URL + '/og-image' + path
+    const query = selection ? '?' + ogPreview.selectionQuery(selection) : ''
+    const ogImageUrl = OG_IMAGE_BASE_URL + '/og-image' + path + query
 
     try {
-        const metadata = await ogPreview.extractMetadata({ browser, pagePool, url: targetUrl })
+        const { metadata, createdAt } = await renders.run("og-meta", targetUrl + query,
+            () => ogPreview.extractMetadata({ acquireBrowser, cache, url: targetUrl, selection }))
         const metaTags = ogPreview.generateOgMetaTags({
             url: targetUrl,
             imageUrl: ogImageUrl,
             metadata
         })
-
-        res.set('Cache-Control', 'public, max-age=86400')
-        res.json({
+        const body = JSON.stringify({
             url: targetUrl,
             imageUrl: ogImageUrl,
             metadata,
             metaTags
         })
+
+        res.set('Cache-Control', 'public, max-age=86400')
+        res.type('json')
+        setValidators(res, body, createdAt)
+        res.send(body)
     } catch(e) {
-        console.error("OG preview error:", e)
-        if (isBrowserError(e)) {
-            browserError = e.message
-            await closeBrowser()
+        if (e instanceof LineSelectionError) {
+            return res.status(e.status).json({ error: e.message })
         }
+        req.log.error("OG preview error", { error: e })
+        const retryAfter = retryAfterFor(e)
+        if (retryAfter) {
+            res.set('Retry-After', String(retryAfter))
+            return res.status(503).json({ error: 'Renderer unavailable, try again later', message: e.message })
+        }
+        supervisor.reportError(e)
         res.status(500).json({ error: 'Failed to generate OG preview', message: e.message })
     }
 })
 
-app.get("/{*splat}", async function(req, res, next) {
-    await ensureBrowser()
+// Printable PDF of a reader text page, or of pages ?sidor=5-12 of its title
+app.get('/pdf/{*splat}', async function(req, res) {
+    const path = splatPath(req)
 
-    let path = new URL(req.originalUrl, `http://${req.hostname}`).pathname
-    path = path.replace("/&_escaped_fragment_=", "")
-    if(path == "/index.html.gz") {
-        path = "/"
+    let range
+    try {
+        range = pdfExport.parsePageRange(req.query, path)
+    } catch(e) {
+        return res.status(e.status).json({ error: e.message })
     }
-    const from = SERVER_ROOT + path
 
-    const type = path.split(".")[path.split(".").length - 1]
+    const targetUrl = SERVER_ROOT + path
 
-    let errMsg, errType
     try {
-        var content = await crawler({ url : from, browser, pagePool})
+        const { pdf, createdAt } = await renders.run("pdf", `${targetUrl} ${range.from}-${range.to}`,
+            () => pdfExport.generatePdf({ acquireBrowser, cache, url: targetUrl, range }))
+
+        res.set('Content-Type', 'application/pdf')
+        // Non-ASCII names are given in filename*, with an ASCII fallback for older clients
+        const fileName = pdfExport.pdfFileName(path, range)
+        res.set('Content-Disposition',
+            `inline; filename="${fileName.replace(/[^\x20-\x7e]/g, '_')}"; filename*=UTF-8''${encodeURIComponent(fileName)}`)
+        res.set('Cache-Control', 'public, max-age=86400')
+        setValidators(res, pdf, createdAt)
+        res.send(pdf)
     } catch(e) {
-        console.warn("fetch error", e)
-        if (isBrowserError(e)) {
-            browserError = e.message
-            await closeBrowser()
+        if (e instanceof PdfRequestError) {
+            return res.status(e.status).json({ error: e.message })
         }
-        errMsg = e.message
-        errType = 500
+        req.log.error("PDF export error", { error: e })
+        const retryAfter = retryAfterFor(e)
+        if (retryAfter) {
+            res.set('Retry-After', String(retryAfter))
+            return res.status(503).json({ error: 'Renderer unavailable, try again later', message: e.message })
+        }
+        supervisor.reportError(e)
+        res.status(500).json({ error: 'Failed to export PDF', message: e.message })
+    }
+})
+
+// oEmbed provider for reader text pages, see src/oembed.js
+// GET /oembed?url={page URL}[&format=json|xml][&maxwidth=...][&maxheight=...]
+app.get('/oembed', async function(req, res) {
+    let request
+    try {
+        request = oembed.parseOembedRequest(req.query, SERVER_ROOT)
+    } catch(e) {
+        if (e instanceof OembedError || e instanceof LineSelectionError) {
+            return res.status(e.status).json({ error: e.message })
+        }
+        throw e
+    }
+    const { path, selection, format, maxwidth, maxheight } = request
+
+    const targetUrl = SERVER_ROOT + path
+    const query = selection ? '?' + ogPreview.selectionQuery(selection) : ''
+
+    try {
+        const { metadata, createdAt } = await renders.run("og-meta", targetUrl + query,
+            () => ogPreview.extractMetadata({ acquireBrowser, cache, url: targetUrl, selection }))
+        const response = oembed.buildOembedResponse({
+            url: targetUrl + query,
+            imageUrl: OG_IMAGE_BASE_URL + '/og-image' + path + query,
+            metadata,
+            maxwidth,
+            maxheight,
+            serverRoot: SERVER_ROOT
+        })
+
+        let body
+        if (format === 'xml') {
+            body = oembed.renderOembedXml(response)
+            res.type('text/xml')
+        } else {
+            body = JSON.stringify(response)
+            res.type('json')
+        }
+        res.set('Cache-Control', 'public, max-age=86400')
+        setValidators(res, body, createdAt)
+        res.send(body)
+    } catch(e) {
+        if (e instanceof LineSelectionError) {
+            return res.status(e.status).json({ error: e.message })
+        }
+        req.log.error("oEmbed error", { error: e })
+        const retryAfter = retryAfterFor(e)
+        if (retryAfter) {
+            res.set('Retry-After', String(retryAfter))
+            return res.status(503).json({ error: 'Renderer unavailable, try again later', message: e.message })
+        }
+        supervisor.reportError(e)
+        res.status(500).json({ error: 'Failed to build oEmbed response', message: e.message })
     }
-    if(!errType) {
-        const $ = cheerio.load(content)
-        ;({errMsg, errType} = getErrors($))
+})
+
+// Admin API, enabled by setting ADMIN_TOKEN. Requests authenticate with "Authorization: Bearer <token>"
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || null
+
+function requireAdmin(req, res, next) {
+    if (!ADMIN_TOKEN) {
+        return res.status(404).json({ error: 'Admin API is disabled' })
+    }
+    const token = Buffer.from((req.get('Authorization') || '').replace(/^Bearer /, ''))
+    const expected = Buffer.from(ADMIN_TOKEN)
+    if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+        res.set('WWW-Authenticate', 'Bearer')
+        return res.status(401).json({ error: 'Invalid admin token' })
+    }
+    next()
+}
+
+/**
+ * Render purged snapshots and OG images again, one at a time so editors'
+ * updates don't crowd out crawler traffic
+ */
+async function rerenderPurged(purged, log) {
+    let rendered = 0
+    let failed = 0
+    for (const path of purged["snapshot"]) {
+        try {
+            await renderSnapshot(path, log)
+            rendered++
+        } catch(e) {
+            failed++
+            log.warn("Re-render failed", { path, error: e })
+        }
+    }
+    for (const key of purged["og-image"]) {
+        const { url: targetUrl, query, size, format } = parseImageKey(key)
+        try {
+            const path = new URL(targetUrl).pathname
+            const selection = ogPreview.parseLineSelection(Object.fromEntries(new URLSearchParams(query)), path)
+            await renders.run("og-image", key,
+                () => ogPreview.generateOgImage({ acquireBrowser, cache, url: targetUrl, selection, size, format }))
+            rendered++
+        } catch(e) {
+            failed++
+            log.warn("OG image re-render failed", { key, error: e })
+        }
+    }
+    log.info("Re-render of purged pages completed", { rendered, failed })
+}
+
+// Purge cached snapshots, OG images and OG metadata, e.g. after a transcription is corrected
+// Body: { path } | { prefix } | { authorId, titleId? }, plus "rerender": true to render the purged pages again
+app.post('/admin/purge', requireAdmin, express.json(), async function(req, res) {
+    const { path, prefix, authorId, titleId, rerender = false } = req.body || {}
+
+    let selector
+    try {
+        selector = pageSelector({ path, prefix, authorId, titleId })
+    } catch(e) {
+        if (e instanceof PurgeRequestError) {
+            return res.status(400).json({ error: e.message })
+        }
+        throw e
+    }
+
+    let purged
+    try {
+        purged = await purge(cache, selector, SERVER_ROOT)
+    } catch(e) {
+        req.log.error("Purge failed", { error: e })
+        return res.status(500).json({ error: 'Purge failed', message: e.message })
+    }
+
+    const counts = Object.fromEntries(Object.entries(purged).map(([kind, keys]) => [kind, keys.length]))
+    req.log.info("Purged cache entries", { path, prefix, authorId, titleId, counts })
+
+    if (rerender) {
+        // Not awaited: the response reports what was purged, renders are logged as they finish
+        rerenderPurged(purged, req.log).catch(e => req.log.error("Re-render failed", { error: e }))
+    }
+
+    res.json({
+        purged,
+        counts,
+        // Other instances keep their own file or memory cache, only Redis is shared
+        scope: CACHE_BACKEND === "redis" ? "shared" : "instance",
+        rerender: rerender ? { snapshots: purged["snapshot"].length, images: purged["og-image"].length } : false
+    })
+})
+
+/**
+ * Send a sitemap, dated by its latest page
+ */
+function sendSitemap(res, xml, entries) {
+    setValidators(res, xml, entries.reduce((latest, entry) => Math.max(latest, entry.lastmod), 0) || Date.now())
+    res.set('Cache-Control', 'public, max-age=3600')
+    res.type('application/xml')
+    res.send(xml)
+}
+
+// Sitemap of the pages in the link graph; a sitemap index past 50,000 pages
+app.get('/sitemap.xml', async function(req, res) {
+    let entries
+    try {
+        entries = await linkGraph.getSitemapEntries()
+    } catch(e) {
+        req.log.error("Loading the link graph failed", { error: e })
+        return res.status(503).send('Sitemap unavailable')
+    }
+    const chunks = sitemap.sitemapChunks(entries)
+    if (chunks) {
+        sendSitemap(res, sitemap.renderSitemapIndex(chunks, SERVER_ROOT), entries)
+    } else {
+        sendSitemap(res, sitemap.renderUrlset(entries, SERVER_ROOT), entries)
+    }
+})
 
-        // Inject OG tags for reader pages (/sida/ URLs)
-        if (!errType && ogPreview.isReaderPage(path)) {
+app.get('/sitemap-:page.xml', async function(req, res) {
+    let chunks
+    try {
+        chunks = sitemap.sitemapChunks(await linkGraph.getSitemapEntries())
+    } catch(e) {
+        req.log.error("Loading the link graph failed", { error: e })
+        return res.status(503).send('Sitemap unavailable')
+    }
+    const chunk = chunks && /^\d+$/.test(req.params.page) ? chunks[Number(req.params.page) - 1] : null
+    if (!chunk) {
+        return res.status(404).send('No such sitemap')
+    }
+    sendSitemap(res, sitemap.renderUrlset(chunk, SERVER_ROOT), chunk)
+})
+
+// Orphaned pages, broken links and linked pages not rendered yet
+app.get('/admin/links', requireAdmin, async function(req, res) {
+    res.json(await linkGraph.getReport())
+})
+
+// Pre-warming: render the pages of a sitemap or URL list ahead of crawler traffic.
+// Runs at startup and every PREWARM_INTERVAL hours when PREWARM_SOURCE is set, or on request
+const PREWARM_SOURCE = process.env.PREWARM_SOURCE || null
+const PREWARM_INTERVAL = Number(process.env.PREWARM_INTERVAL || 0) * 60 * 60 * 1000
+const PREWARM_CONCURRENCY = Number(process.env.PREWARM_CONCURRENCY || 2)
+const PREWARM_RATE = Number(process.env.PREWARM_RATE || 1)
+const PREWARM_STATE = process.env.PREWARM_STATE || nodePath.join(os.tmpdir(), "littb-prewarm-state.jsonl")
+const PREWARM_REPORT = process.env.PREWARM_REPORT || nodePath.join(os.tmpdir(), "littb-prewarm-report.json")
+
+const prewarmLog = logger.child({ component: "Prewarm" })
+let prewarmJob = null
+let lastPrewarmReport = null
+
+/**
+ * Render a page's snapshot, unless a fresh one is cached, and its advertised OG images
+ */
+async function prewarmPage(path) {
+    const cached = snapshotCache ? await snapshotCache.get(path) : null
+    if (!cached || cached.stale) {
+        let result
+        try {
+            result = await renderSnapshot(path, prewarmLog)
+        } catch(e) {
+            return { status: 500, errMsg: e.message, retryAfter: retryAfterFor(e) }
+        }
+        if (result.redirect) return { status: CLIENT_REDIRECT_STATUS }
+        if (result.errType) return { status: result.errType, errMsg: result.errMsg }
+    }
+
+    if (ogPreview.getPageType(path)) {
+        const targetUrl = SERVER_ROOT + SnapshotCache.normalizePath(path)
+        const format = ogPreview.META_IMAGE_FORMAT
+        for (const size of ogPreview.META_IMAGE_SIZES) {
             try {
-                // Use SERVER_ROOT for OG image URLs in production
-                // This ensures the public URL is used, not the internal service URL
-                ogPreview.injectOgTags($, from, SERVER_ROOT)
-                content = $.html()
+                await renders.run("og-image", `${targetUrl} ${size}.${format}`,
+                    () => ogPreview.generateOgImage({ acquireBrowser, cache, url: targetUrl, size, format }))
             } catch(e) {
-                console.error("Error injecting OG tags:", e)
+                return { status: 500, errMsg: `OG image (${size}): ${e.message}`, retryAfter: retryAfterFor(e) }
             }
         }
     }
+    return { status: 200 }
+}
+
+/**
+ * Start a pre-warming run in the background; returns false if one is already running
+ */
+function startPrewarm(source) {
+    if (prewarmJob) return false
+    prewarmJob = new Prewarm({
+        renderPage: prewarmPage,
+        concurrency: PREWARM_CONCURRENCY,
+        rate: PREWARM_RATE,
+        statePath: PREWARM_STATE,
+        reportPath: PREWARM_REPORT
+    })
+    prewarmJob.run(source)
+        .then(report => {
+            lastPrewarmReport = report
+        })
+        .catch(e => prewarmLog.error("Pre-warming failed", { source, error: e }))
+        .finally(() => {
+            prewarmJob = null
+        })
+    return true
+}
+
+// Body: { source }, a sitemap or URL list URL, default PREWARM_SOURCE or the sitemap of SERVER_ROOT
+app.post('/admin/prewarm', requireAdmin, express.json(), function(req, res) {
+    const source = req.body?.source || PREWARM_SOURCE || SERVER_ROOT + "/sitemap.xml"
+    if (!/^https?:\/\//.test(source)) {
+        return res.status(400).json({ error: 'The source must be an http(s) URL' })
+    }
+    if (!startPrewarm(source)) {
+        return res.status(409).json({ error: 'Pre-warming is already running', status: prewarmJob.getStatus() })
+    }
+    res.status(202).json({ started: true, source })
+})
+
+app.get('/admin/prewarm', requireAdmin, function(req, res) {
+    res.json({
+        running: prewarmJob ? prewarmJob.getStatus() : null,
+        lastReport: lastPrewarmReport
+    })
+})
+
+// Stops after the pages in progress; the next run on the same source resumes
+app.delete('/admin/prewarm', requireAdmin, function(req, res) {
+    if (!prewarmJob) {
+        return res.status(404).json({ error: 'Pre-warming is not running' })
+    }
+    prewarmJob.stop()
+    res.json({ stopping: true, status: prewarmJob.getStatus() })
+})
+
+/**
+ * Answer a snapshot request for `path`, as HTML or with `asJson` as structured content
+ * `redirectBase` is prefixed to client-side redirect paths
+ */
+async function serveSnapshot(req, res, path, { asJson = false, redirectBase = SERVER_ROOT } = {}) {
+    const cached = snapshotCache ? await snapshotCache.get(path) : null
+    if (cached && !cached.stale) {
+        return sendCachedSnapshot(res, path, cached, asJson)
+    }
+
+    let result
+    try {
+        result = await withDeadline(renderSnapshot(path, req.log), RENDER_DEADLINE)
+    } catch(e) {
+        req.log.warn("Render failed", { path, error: e })
+        const timedOut = e instanceof RenderTimeoutError
+        if (cached) {
+            // The render keeps going in the background and refreshes the cache when it completes
+            return sendCachedSnapshot(res, path, cached, asJson, timedOut ? '110 - "Response is Stale"' : '111 - "Revalidation Failed"')
+        }
+        if (timedOut) {
+            res.set("Retry-After", String(Math.ceil(RENDER_DEADLINE / 1000)))
+            return sendSnapshotError(res, path, 503, e.message, asJson)
+        }
+        const retryAfter = retryAfterFor(e)
+        if (retryAfter) {
+            res.set("Retry-After", String(retryAfter))
+            return sendSnapshotError(res, path, 503, e.message, asJson)
+        }
+        result = { errType: 500, errMsg: e.message }
+    }
 
-    if(errType) {
-        console.log("fetch error for", path)
-        res.status(errType).send(errMsg)
+    Object.assign(req.timings, result.timings)
+    if (result.redirect) {
+        res.redirect(CLIENT_REDIRECT_STATUS, redirectBase + result.redirect.slice(SERVER_ROOT.length))
+    } else if(result.errType) {
+        res.locals.errType = result.errType
+        res.locals.errMsg = result.errMsg
+        sendSnapshotError(res, path, result.errType, result.errMsg, asJson)
     } else {
-        console.log("fetch success for", path)
-        res.type('html')
-        res.send(cleanHtml(content))
+        if (snapshotCache) {
+            res.set("X-Snapshot-Cache", "MISS")
+        }
+        sendSnapshot(res, path, result.html, result.createdAt, asJson)
     }
+}
+
+// Structured JSON of a rendered page, for indexers and research tools
+app.get("/api/extract/{*splat}", async function(req, res) {
+    const path = new URL(req.originalUrl, `http://${req.hostname}`).pathname.slice("/api/extract".length) || "/"
+    await serveSnapshot(req, res, path, { asJson: true, redirectBase: "/api/extract" })
+})
+
+app.get("/{*splat}", async function(req, res, next) {
+    let path = new URL(req.originalUrl, `http://${req.hostname}`).pathname
+    path = path.replace("/&_escaped_fragment_=", "")
+    if(path == "/index.html.gz") {
+        path = "/"
+    }
+
+    // Clients preferring JSON get the structured content; crawlers send text/html or */*
+    res.vary("Accept")
+    await serveSnapshot(req, res, path, { asJson: req.accepts(["html", "json"]) === "json" })
 })
 
 // Global error handlers
 process.on('uncaughtException', (error) => {
-    console.error('Uncaught Exception:', error)
+    logger.error('Uncaught exception', { error })
 })
 process.on('unhandledRejection', (reason, promise) => {
-    console.error('Unhandled Rejection at:', promise, 'reason:', reason)
+    logger.error('Unhandled rejection', { error: reason })
 })
 
 const HOST = process.env.HOST || '0.0.0.0'
 const PORT = process.env.PORT || 8282
-app.listen(PORT, HOST, () => console.log(`Listening on ${HOST}:${PORT}. Fetching from ${SERVER_ROOT}`))
+
+async function start() {
+    try {
+        await cache.init()
+    } catch(e) {
+        logger.error("Failed to initialize cache", { error: e })
+    }
+    // Launch the browser up front; failures are retried by the supervisor
+    supervisor.start().catch(() => {})
+    if (PREWARM_SOURCE) {
+        // Resumes a run interrupted by the last restart
+        startPrewarm(PREWARM_SOURCE)
+        if (PREWARM_INTERVAL > 0) {
+            setInterval(() => startPrewarm(PREWARM_SOURCE), PREWARM_INTERVAL).unref()
+        }
+    }
+    app.listen(PORT, HOST, () => logger.info("Listening", { host: HOST, port: PORT, serverRoot: SERVER_ROOT }))
+}
+
+// Imported by the tests without starting the server
+if (require.main === module) {
+    start()
+}
+
+export default app
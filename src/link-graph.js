@@ -0,0 +1,320 @@
+/**
+ * Link Graph
+ *
+ * Records the outcome and the internal links of every rendered page, keyed by
+ * normalized path. It feeds the sitemap and a report of orphaned and broken links.
+ *
+ * The graph is kept apart from the cache, where entries are evicted to make
+ * room for snapshots and pages would silently drop out of the sitemap:
+ * - FileGraphStore: a JSON-lines file on disk, per instance, so only for a single instance
+ * - RedisGraphStore: one Redis hash, so all instances build one graph
+ *
+ * - Only links to pages within SERVER_ROOT are kept, without query or fragment
+ * - The graph is loaded in bulk at most every `refreshInterval` ms;
+ *   pages rendered by this instance are added as they are recorded
+ * - Pages not rendered again within `maxAge` ms are dropped
+ */
+
+import fs from 'fs/promises'
+import Redis from 'ioredis'
+import SnapshotCache from './snapshot-cache'
+import { canonicalPath, robotsDirectives } from './head-tags'
+import logger from './logger'
+
+const log = logger.child({ component: 'LinkGraph' })
+
+// Links to files and to this service's own endpoints aren't pages
+const NON_PAGE_PATH = /\.(pdf|jpe?g|png|gif|svg|webp|xml|txt|zip|epub|css|js)$/i
+const SERVICE_PREFIXES = ['/og-image/', '/og-meta/', '/og/', '/admin/', '/api/']
+
+/**
+ * Normalized paths of the internal page links in a rendered page
+ */
+export function extractLinks($, pageUrl, serverRoot) {
+    const root = new URL(serverRoot)
+    const links = new Set()
+
+    $('a[href]').each((_, el) => {
+        const href = $(el).attr('href').trim()
+        if (!href || href.startsWith('#') || /^(mailto|tel|javascript):/i.test(href)) return
+
+        let target
+        try {
+            target = new URL(href, pageUrl)
+        } catch (_) {
+            return
+        }
+        if (target.origin !== root.origin) return
+
+        const path = SnapshotCache.normalizePath(target.pathname)
+        if (NON_PAGE_PATH.test(path) || SERVICE_PREFIXES.some(prefix => (path + '/').startsWith(prefix))) return
+        links.add(path)
+    })
+
+    return [...links]
+}
+
+/**
+ * Graph in a JSON-lines file, one page per line; a later line for a path replaces earlier ones
+ * Writes are queued, so a rewrite never loses a concurrent append
+ */
+export class FileGraphStore {
+    constructor({ path }) {
+        this.path = path
+        this.queue = Promise.resolve()
+        // Lines in the file and pages they held at the last read, null until read
+        this.lines = null
+        this.pages = 0
+    }
+
+    enqueue(operation) {
+        const result = this.queue.then(operation)
+        this.queue = result.catch(() => {})
+        return result
+    }
+
+    /**
+     * All pages, as a map of path -> page
+     */
+    load() {
+        return this.enqueue(async () => {
+            const pages = await this.read()
+            await this.compactIfNeeded(pages)
+            return pages
+        })
+    }
+
+    async read() {
+        let content
+        try {
+            content = await fs.readFile(this.path, 'utf8')
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e
+            content = ''
+        }
+
+        const pages = new Map()
+        let lines = 0
+        for (const line of content.split('\n')) {
+            if (!line) continue
+            lines++
+            try {
+                const [path, page] = JSON.parse(line)
+                if (page) {
+                    pages.set(path, page)
+                } else {
+                    pages.delete(path)
+                }
+            } catch (_) {
+                // A line cut off by a crash
+            }
+        }
+        this.lines = lines
+        this.pages = pages.size
+        return pages
+    }
+
+    /**
+     * Rewrite the file once superseded lines outnumber the pages
+     * Checked on every write too, so the file doesn't grow while the graph isn't loaded
+     */
+    async compactIfNeeded(pages) {
+        if (this.lines <= 2 * this.pages + 1000) return
+        if (!pages) {
+            // Pages added since the last read may account for the extra lines
+            pages = await this.read()
+            if (this.lines <= 2 * this.pages + 1000) return
+        }
+        // Write to a temporary file and rename, so a crash never leaves half a graph
+        const tmpPath = `${this.path}.${process.pid}.tmp`
+        await fs.writeFile(tmpPath, [...pages].map(entry => JSON.stringify(entry) + '\n').join(''))
+        await fs.rename(tmpPath, this.path)
+        this.lines = this.pages = pages.size
+    }
+
+    async append(entries) {
+        if (this.lines === null) {
+            await this.read()
+        }
+        await fs.appendFile(this.path, entries.map(entry => JSON.stringify(entry) + '\n').join(''))
+        this.lines += entries.length
+        await this.compactIfNeeded()
+    }
+
+    set(path, page) {
+        return this.enqueue(() => this.append([[path, page]]))
+    }
+
+    delete(paths) {
+        return this.enqueue(() => this.append(paths.map(path => [path, null])))
+    }
+}
+
+/**
+ * Graph in the Redis hash `key`, path -> page as JSON, shared by all instances
+ */
+export class RedisGraphStore {
+    constructor({ url = 'redis://127.0.0.1:6379', key = 'littb-snapshot:link-graph', timeout = 2000 }) {
+        this.client = new Redis(url, {
+            // Commands fail at once instead of queueing while disconnected, like RedisStore
+            enableOfflineQueue: false,
+            maxRetriesPerRequest: 0,
+            connectTimeout: timeout,
+            commandTimeout: timeout
+        })
+        this.client.on('error', error => log.debug('Redis error', { error }))
+        this.key = key
+    }
+
+    async load() {
+        const pages = new Map()
+        for (const [path, page] of Object.entries(await this.client.hgetall(this.key))) {
+            pages.set(path, JSON.parse(page))
+        }
+        return pages
+    }
+
+    async set(path, page) {
+        await this.client.hset(this.key, path, JSON.stringify(page))
+    }
+
+    async delete(paths) {
+        if (paths.length) {
+            await this.client.hdel(this.key, ...paths)
+        }
+    }
+}
+
+class LinkGraph {
+    constructor({ store, maxAge = 30 * 24 * 60 * 60 * 1000, refreshInterval = 10 * 60 * 1000 }) {
+        this.store = store
+        this.maxAge = maxAge
+        this.refreshInterval = refreshInterval
+        // path -> { status, renderedAt, links }
+        this.pages = null
+        this.loadedAt = 0
+        this.loading = null
+    }
+
+    /**
+     * Record a render of `urlPath`: its status and, for pages that rendered, its links
+     * Written to the store in the background, renders never wait on it
+     */
+    record(urlPath, { status, renderedAt = Date.now(), links = [] }) {
+        const path = SnapshotCache.normalizePath(urlPath)
+        const page = { status, renderedAt, links }
+        if (this.pages) {
+            this.pages.set(path, page)
+        }
+        // A load in progress may have read the store before this page
+        if (this.loading) {
+            this.loading.then(pages => pages.set(path, page), () => {})
+        }
+        // A graph that can't be written never fails the render
+        this.store.set(path, page).catch(e => log.error('Recording page failed', { path, error: e }))
+    }
+
+    /**
+     * All recorded pages, as a map of path -> { status, renderedAt, links }
+     */
+    async getPages() {
+        if (this.pages && Date.now() - this.loadedAt < this.refreshInterval) {
+            return this.pages
+        }
+        if (!this.loading) {
+            this.loading = this.load().finally(() => {
+                this.loading = null
+            })
+        }
+        return this.loading
+    }
+
+    async load() {
+        const start = Date.now()
+        const pages = await this.store.load()
+
+        const expired = []
+        for (const [path, { renderedAt }] of pages) {
+            if (start - renderedAt > this.maxAge) {
+                expired.push(path)
+                pages.delete(path)
+            }
+        }
+        if (expired.length) {
+            await this.store.delete(expired)
+            log.info('Dropped pages not rendered again', { pages: expired.length })
+        }
+
+        this.pages = pages
+        this.loadedAt = Date.now()
+        log.info('Loaded link graph', { pages: pages.size, durationMs: this.loadedAt - start })
+        return pages
+    }
+
+    /**
+     * Pages that rendered successfully, as [{ path, lastmod }] sorted by path
+     * Listed by canonical path, once for all its variants; noindex pages are left out
+     */
+    async getSitemapEntries() {
+        const entries = new Map()
+        for (const [path, { status, renderedAt }] of await this.getPages()) {
+            if (status >= 300 || robotsDirectives(path)) continue
+            const canonical = canonicalPath(path)
+            const entry = entries.get(canonical)
+            if (!entry || entry.lastmod < renderedAt) {
+                entries.set(canonical, { path: canonical, lastmod: renderedAt })
+            }
+        }
+        return [...entries.values()].sort((a, b) => a.path < b.path ? -1 : a.path > b.path ? 1 : 0)
+    }
+
+    /**
+     * Report of the graph:
+     * - orphaned: rendered pages no other page links to (the start page excepted)
+     * - broken: linked pages whose last render failed, with the pages linking to them
+     * - unrendered: linked pages that haven't been rendered yet
+     */
+    async getReport() {
+        const pages = await this.getPages()
+
+        // target -> pages linking to it
+        const linkedFrom = new Map()
+        let links = 0
+        for (const [path, page] of pages) {
+            for (const target of page.links) {
+                if (target === path) continue
+                if (!linkedFrom.has(target)) linkedFrom.set(target, [])
+                linkedFrom.get(target).push(path)
+                links++
+            }
+        }
+
+        const orphaned = []
+        for (const [path, { status }] of pages) {
+            if (status < 300 && path !== '/' && !linkedFrom.has(path)) {
+                orphaned.push(path)
+            }
+        }
+
+        const broken = []
+        const unrendered = []
+        for (const [target, sources] of linkedFrom) {
+            const page = pages.get(target)
+            if (!page) {
+                unrendered.push(target)
+            } else if (page.status >= 400) {
+                broken.push({ path: target, status: page.status, linkedFrom: sources.sort() })
+            }
+        }
+
+        return {
+            pages: pages.size,
+            links,
+            orphaned: orphaned.sort(),
+            broken: broken.sort((a, b) => a.path < b.path ? -1 : 1),
+            unrendered: unrendered.sort()
+        }
+    }
+}
+
+export default LinkGraph
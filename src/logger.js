@@ -0,0 +1,61 @@
+/**
+ * Structured Logger
+ *
+ * Writes one JSON object per line to stdout, so logs from the three instances
+ * can be collected and queried. Child loggers carry fixed fields such as the
+ * component name or the request ID of the request being served.
+ *
+ * Verbosity is set with LOG_LEVEL (debug, info, warn, error), default info.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 }
+
+const minLevel = LEVELS[process.env.LOG_LEVEL] || LEVELS.info
+
+function serialize(value) {
+    if (value instanceof Error) {
+        return { name: value.name, message: value.message, stack: value.stack }
+    }
+    return value
+}
+
+class Logger {
+    constructor(fields = {}) {
+        this.fields = fields
+    }
+
+    /**
+     * Create a logger that adds `fields` to every line
+     */
+    child(fields) {
+        return new Logger({ ...this.fields, ...fields })
+    }
+
+    log(level, msg, fields = {}) {
+        if (LEVELS[level] < minLevel) return
+
+        const line = { time: new Date().toISOString(), level, msg, ...this.fields }
+        for (const [key, value] of Object.entries(fields)) {
+            line[key] = serialize(value)
+        }
+        process.stdout.write(JSON.stringify(line) + '\n')
+    }
+
+    debug(msg, fields) {
+        this.log('debug', msg, fields)
+    }
+
+    info(msg, fields) {
+        this.log('info', msg, fields)
+    }
+
+    warn(msg, fields) {
+        this.log('warn', msg, fields)
+    }
+
+    error(msg, fields) {
+        this.log('error', msg, fields)
+    }
+}
+
+export default new Logger()
@@ -0,0 +1,185 @@
+/**
+ * Prometheus Metrics
+ *
+ * Minimal counters, gauges and histograms rendered in the Prometheus
+ * text exposition format for the /metrics endpoint.
+ *
+ * Values owned by other modules (pool, cache and browser statistics) are
+ * copied in by collector callbacks when the registry is rendered, so those
+ * modules don't need to know about metrics.
+ */
+
+import fs from 'fs/promises'
+import logger from './logger'
+
+const log = logger.child({ component: 'Metrics' })
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels)
+    if (!entries.length) return ''
+    const parts = entries.map(([key, value]) =>
+        `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+    )
+    return `{${parts.join(',')}}`
+}
+
+function labelKey(labels) {
+    return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)))
+}
+
+class Metric {
+    constructor(type, name, help) {
+        this.type = type
+        this.name = name
+        this.help = help
+        // labelKey -> { labels, value }
+        this.values = new Map()
+    }
+
+    entry(labels) {
+        const key = labelKey(labels)
+        if (!this.values.has(key)) {
+            this.values.set(key, { labels, value: 0 })
+        }
+        return this.values.get(key)
+    }
+
+    /**
+     * Set the value directly, for values tracked elsewhere and copied in by a collector
+     */
+    set(labels, value) {
+        this.entry(labels).value = value
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`]
+        for (const { labels, value } of this.values.values()) {
+            lines.push(`${this.name}${formatLabels(labels)} ${value}`)
+        }
+        return lines.join('\n')
+    }
+}
+
+export class Counter extends Metric {
+    constructor(name, help) {
+        super('counter', name, help)
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.entry(labels).value += amount
+    }
+}
+
+export class Gauge extends Metric {
+    constructor(name, help) {
+        super('gauge', name, help)
+    }
+}
+
+export class Histogram extends Metric {
+    constructor(name, help, buckets) {
+        super('histogram', name, help)
+        this.buckets = buckets
+    }
+
+    entry(labels) {
+        const key = labelKey(labels)
+        if (!this.values.has(key)) {
+            this.values.set(key, { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 })
+        }
+        return this.values.get(key)
+    }
+
+    observe(labels, value) {
+        const entry = this.entry(labels)
+        this.buckets.forEach((bucket, i) => {
+            if (value <= bucket) entry.counts[i]++
+        })
+        entry.sum += value
+        entry.count++
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`]
+        for (const { labels, counts, sum, count } of this.values.values()) {
+            this.buckets.forEach((bucket, i) => {
+                lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bucket })} ${counts[i]}`)
+            })
+            lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`)
+            lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`)
+            lines.push(`${this.name}_count${formatLabels(labels)} ${count}`)
+        }
+        return lines.join('\n')
+    }
+}
+
+export class Registry {
+    constructor() {
+        this.metrics = []
+        this.collectors = []
+    }
+
+    register(metric) {
+        this.metrics.push(metric)
+        return metric
+    }
+
+    /**
+     * Add a callback that updates metrics right before they are rendered
+     */
+    collect(fn) {
+        this.collectors.push(fn)
+    }
+
+    async render() {
+        for (const fn of this.collectors) {
+            try {
+                await fn()
+            } catch (e) {
+                log.error('Collector failed', { error: e })
+            }
+        }
+        return this.metrics.map(metric => metric.render()).join('\n') + '\n'
+    }
+}
+
+/**
+ * Resident memory in bytes of a process and all its descendants
+ * Chromium runs renderers and the GPU process as children of the browser process.
+ * Returns null where /proc is not available.
+ */
+export async function processTreeMemory(rootPid) {
+    let pids
+    try {
+        pids = (await fs.readdir('/proc')).filter(name => /^\d+$/.test(name))
+    } catch (_) {
+        return null
+    }
+
+    // parent pid -> child pids
+    const children = new Map()
+    for (const pid of pids) {
+        try {
+            const stat = await fs.readFile(`/proc/${pid}/stat`, 'utf8')
+            // Fields after the command name, which may itself contain spaces
+            const ppid = stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1]
+            if (!children.has(ppid)) children.set(ppid, [])
+            children.get(ppid).push(pid)
+        } catch (_) {
+            // Process exited while we were reading
+        }
+    }
+
+    let total = 0
+    const queue = [String(rootPid)]
+    while (queue.length) {
+        const pid = queue.pop()
+        try {
+            const status = await fs.readFile(`/proc/${pid}/status`, 'utf8')
+            const match = status.match(/^VmRSS:\s+(\d+) kB/m)
+            if (match) total += Number(match[1]) * 1024
+        } catch (_) {}
+        queue.push(...(children.get(pid) || []))
+    }
+    return total
+}
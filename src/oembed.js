@@ -0,0 +1,186 @@
+/**
+ * oEmbed Provider
+ *
+ * Answers oEmbed requests (https://oembed.com) for reader text pages with a
+ * `rich` embed: the page's opening lines, or the lines of a `rader`/`ankare`
+ * selection in the URL, with title and author, plus the /og-image thumbnail.
+ *
+ * The embed HTML is a self-contained blockquote with inline styles, so it
+ * renders the same in any blog or CMS without scripts or iframes.
+ */
+
+import SnapshotCache from './snapshot-cache'
+import {
+    OG_IMAGE_SIZES,
+    escapeHtml,
+    isReaderPage,
+    isFacsimilePage,
+    parseReaderUrl,
+    parseLineSelection,
+    describePage,
+    ogImageVariantUrl
+} from './og-preview'
+
+// Embed width when the consumer sets no smaller maxwidth
+const DEFAULT_WIDTH = 600
+
+// Height estimate: padding, attribution and each line of text, in px
+const FRAME_HEIGHT = 100
+const LINE_HEIGHT = 26
+
+// Seconds consumers may cache a response
+const CACHE_AGE = 24 * 60 * 60
+
+/**
+ * Error for an oEmbed request that can't be answered, with the status the spec prescribes
+ */
+export class OembedError extends Error {
+    constructor(message, status = 400) {
+        super(message)
+        this.name = 'OembedError'
+        this.status = status
+    }
+}
+
+function parseDimension(value, name) {
+    if (value === undefined) return null
+    if (typeof value !== 'string' || !/^\d+$/.test(value) || Number(value) < 1) {
+        throw new OembedError(`Invalid ${name}, expected a positive integer`)
+    }
+    return Number(value)
+}
+
+/**
+ * Parse an oEmbed request's query
+ * Returns { path, selection, format, maxwidth, maxheight } for a reader text page on `serverRoot`
+ */
+export function parseOembedRequest(query, serverRoot) {
+    const format = query.format || 'json'
+    if (format !== 'json' && format !== 'xml') {
+        throw new OembedError('Unsupported format, expected json or xml', 501)
+    }
+
+    if (typeof query.url !== 'string' || !query.url) {
+        throw new OembedError('Missing url parameter')
+    }
+    let url
+    try {
+        url = new URL(query.url)
+    } catch (_) {
+        throw new OembedError('Invalid url parameter')
+    }
+
+    const path = SnapshotCache.normalizePath(url.pathname)
+    if (url.origin !== new URL(serverRoot).origin || !isReaderPage(path) || isFacsimilePage(path)) {
+        throw new OembedError('No embed available for this URL, only for reader text pages', 404)
+    }
+
+    return {
+        path,
+        selection: parseLineSelection(Object.fromEntries(url.searchParams), path),
+        format,
+        maxwidth: parseDimension(query.maxwidth, 'maxwidth'),
+        maxheight: parseDimension(query.maxheight, 'maxheight')
+    }
+}
+
+/**
+ * Blocks of lines to embed: the quote, else the verse of the excerpt, else its prose
+ * Cut to what fits within `maxLines`
+ */
+function embedBlocks(metadata, maxLines) {
+    const excerpt = metadata.excerpt || { stanzas: [], paragraphs: [] }
+    const blocks = metadata.quote || (excerpt.stanzas.length ? excerpt.stanzas : excerpt.paragraphs.map(p => [p]))
+
+    const fitted = []
+    let remaining = maxLines
+    for (const lines of blocks) {
+        if (remaining <= 0) break
+        fitted.push(lines.slice(0, remaining))
+        remaining -= lines.length
+    }
+    return fitted
+}
+
+/**
+ * Build the oEmbed response for a reader page
+ * `url` is the page's public URL, `imageUrl` its /og-image URL (with any selection)
+ */
+export function buildOembedResponse({ url, imageUrl, metadata, maxwidth = null, maxheight = null, serverRoot }) {
+    const width = Math.min(DEFAULT_WIDTH, maxwidth || DEFAULT_WIDTH)
+    const maxLines = maxheight ? Math.max(1, Math.floor((maxheight - FRAME_HEIGHT) / LINE_HEIGHT)) : Infinity
+    const blocks = embedBlocks(metadata, maxLines)
+
+    // Prose paragraphs wrap, so count their lines at the embed's width
+    const charsPerLine = Math.max(10, Math.floor((width - 48) / 9))
+    const textLines = blocks.reduce((sum, lines) =>
+        sum + lines.reduce((n, line) => n + Math.max(1, Math.ceil(line.length / charsPerLine)), 0), 0)
+    const height = FRAME_HEIGHT + (textLines + Math.max(0, blocks.length - 1)) * LINE_HEIGHT
+
+    const { title } = describePage(metadata)
+    const text = blocks
+        .map(lines => `<p style="margin:0 0 1em">${lines.map(escapeHtml).join('<br>')}</p>`)
+        .join('')
+    const attribution = [metadata.chapterTitle || metadata.bookTitle, metadata.author].filter(Boolean).map(escapeHtml).join(', ')
+    const html = `<blockquote cite="${escapeHtml(url)}" style="margin:0;padding:20px 24px;max-width:${width}px;box-sizing:border-box;border-left:4px solid #c9a55a;background:#faf8f5;color:#2c2c2c;font-family:Georgia,serif;font-size:16px;line-height:1.6">`
+        + text
+        + `<footer style="font-size:14px;color:#8a6d3b">— ${attribution ? attribution + ' · ' : ''}<a href="${escapeHtml(url)}" style="color:inherit">Litteraturbanken</a></footer>`
+        + '</blockquote>'
+
+    const response = {
+        version: '1.0',
+        type: 'rich',
+        title,
+        provider_name: 'Litteraturbanken',
+        provider_url: serverRoot + '/',
+        cache_age: CACHE_AGE,
+        html,
+        width,
+        height: maxheight ? Math.min(height, maxheight) : height
+    }
+
+    const reader = parseReaderUrl(SnapshotCache.normalizePath(new URL(url).pathname))
+    if (metadata.author) {
+        response.author_name = metadata.author
+        if (reader) {
+            response.author_url = `${serverRoot}/författare/${reader.authorId}`
+        }
+    }
+
+    // The thumbnail must respect maxwidth and maxheight too, so it is left out if it doesn't fit
+    const thumbnail = OG_IMAGE_SIZES.thumbnail
+    if ((!maxwidth || thumbnail.width <= maxwidth) && (!maxheight || thumbnail.height <= maxheight)) {
+        response.thumbnail_url = ogImageVariantUrl(imageUrl, 'thumbnail')
+        response.thumbnail_width = thumbnail.width
+        response.thumbnail_height = thumbnail.height
+    }
+
+    return response
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+}
+
+/**
+ * Serialize a response in the oEmbed XML format
+ */
+export function renderOembedXml(response) {
+    const fields = Object.entries(response)
+        .map(([name, value]) => `<${name}>${escapeXml(value)}</${name}>`)
+    return `<?xml version="1.0" encoding="utf-8" standalone="yes"?>
+<oembed>
+${fields.join('\n')}
+</oembed>
+`
+}
+
+export default {
+    OembedError,
+    parseOembedRequest,
+    buildOembedResponse,
+    renderOembedXml
+}
@@ -0,0 +1,274 @@
+/**
+ * OG Card Renderer
+ *
+ * Renders branded preview cards from an HTML template, filled in with the
+ * page's metadata and an excerpt of its text. Unlike a screenshot of the site,
+ * the cards don't depend on the site's markup or stylesheets.
+ *
+ * Layouts:
+ * - poem: title and the first stanzas, line by line
+ * - quote: lines selected by the reader, highlighted and sized to fit
+ * - prose: title and the opening paragraph
+ * - titlepage: book title, author and year set like a title page
+ * - facsimile: the scanned page with the title overlaid
+ * - author: portrait, name and life dates
+ * - title: work title, author and year with a short summary
+ * - listing: section name of a listing page
+ *
+ * The footer shows the Litteraturbanken logo, inlined as SVG so no request is
+ * needed; OG_LOGO_URL replaces it with another image.
+ *
+ * Cards are laid out on a wide (1200×630) or square (900×900) canvas and returned
+ * as PNG, to be scaled and encoded for the requested image size and format.
+ */
+
+import { escapeHtml } from './og-preview'
+
+const SITE_NAME = 'Litteraturbanken'
+const SITE_HOST = 'litteraturbanken.se'
+const LOGO_URL = process.env.OG_LOGO_URL || null
+
+// Monogram and wordmark in the card's accent colour, 44px high like .logo
+const LOGO_SVG = `<svg class="logo" xmlns="http://www.w3.org/2000/svg" width="360" height="44" viewBox="0 0 360 44" role="img" aria-label="${SITE_NAME}">
+    <rect x="1.5" y="1.5" width="41" height="41" rx="4" fill="none" stroke="#8a6d3b" stroke-width="3"/>
+    <text x="22" y="31" text-anchor="middle" font-family="Georgia, 'DejaVu Serif', serif" font-size="25" font-weight="600" fill="#8a6d3b">Lb</text>
+    <text x="58" y="30" font-family="Georgia, 'DejaVu Serif', serif" font-size="22" letter-spacing="2.5" fill="#8a6d3b">LITTERATURBANKEN</text>
+</svg>`
+
+export const CANVASES = {
+    wide: { width: 1200, height: 630 },
+    square: { width: 900, height: 900 }
+}
+
+const BASE_CSS = `
+    * { box-sizing: border-box; margin: 0; padding: 0; }
+    html, body { width: 100%; height: 100%; overflow: hidden; }
+    body {
+        background: linear-gradient(135deg, #faf8f5 0%, #f5f0e8 100%);
+        color: #2c2c2c;
+        font-family: Georgia, 'DejaVu Serif', serif;
+        display: flex;
+        flex-direction: column;
+        padding: 56px 80px 36px;
+        position: relative;
+    }
+    .content { flex: 1; display: flex; align-items: center; gap: 56px; min-height: 0; }
+    .text { flex: 1; min-width: 0; }
+    .byline { font-size: 24px; letter-spacing: 0.06em; text-transform: uppercase; color: #8a6d3b; }
+    h1 { font-size: 60px; line-height: 1.1; font-weight: 600; color: #1a1a1a; }
+    h2 { font-size: 40px; line-height: 1.15; font-weight: 600; color: #1a1a1a; margin: 10px 0 22px; }
+    .subtitle { font-size: 32px; margin-top: 18px; color: #555; }
+    .summary {
+        font-size: 26px; line-height: 1.45; margin-top: 26px; color: #444;
+        display: -webkit-box; -webkit-line-clamp: 4; -webkit-box-orient: vertical; overflow: hidden;
+    }
+    .excerpt { position: relative; max-height: 330px; overflow: hidden; }
+    .excerpt::after {
+        content: ''; position: absolute; left: 0; right: 0; bottom: 0; height: 70px;
+        background: linear-gradient(rgba(247, 243, 237, 0), #f6f2eb);
+    }
+    .stanza { margin-bottom: 16px; }
+    .line { font-size: 27px; line-height: 1.4; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+    .prose { font-size: 27px; line-height: 1.5; }
+    .quote { border-left: 6px solid #c9a55a; padding-left: 32px; }
+    .quote .stanza { margin-bottom: 0.6em; }
+    .quote .line { font-size: inherit; line-height: 1.45; }
+    .quote mark { background: linear-gradient(transparent 55%, #f0dfb2 55%); color: inherit; padding: 0 2px; }
+    .portrait {
+        width: 360px; height: 450px; object-fit: cover; object-position: top;
+        border-radius: 6px; box-shadow: 0 6px 24px rgba(0, 0, 0, 0.18); flex-shrink: 0;
+    }
+    .titlepage { text-align: center; justify-content: center; }
+    .titlepage .text { flex: 0 1 900px; }
+    .titlepage .rule { width: 160px; height: 2px; background: #c9b78f; margin: 28px auto; }
+    .titlepage h1 { font-size: 68px; }
+    .facsimile-image {
+        position: absolute; top: 0; right: 0; bottom: 0; width: 46%;
+        object-fit: cover; object-position: top; box-shadow: -8px 0 24px rgba(0, 0, 0, 0.15);
+    }
+    .facsimile .text { max-width: 54%; padding-right: 40px; }
+    footer {
+        display: flex; align-items: center; justify-content: space-between;
+        border-top: 2px solid #e3d9c6; padding-top: 16px;
+        font-size: 22px; color: #8a6d3b;
+    }
+    .facsimile-card footer { margin-right: 46%; margin-left: 0; padding-right: 40px; }
+    .logo { height: 44px; }
+
+    /* Square canvas: text below the portrait or scan instead of beside it */
+    .square body { padding: 48px 56px 32px; }
+    .square .content { flex-direction: column; align-items: flex-start; justify-content: center; gap: 32px; }
+    .square .text { flex: 0 1 auto; width: 100%; }
+    .square .portrait { width: 280px; height: 320px; }
+    .square .excerpt { max-height: 480px; }
+    .square .titlepage { align-items: center; }
+    .square .facsimile-image { left: 0; width: 100%; bottom: auto; height: 50%; box-shadow: 0 8px 24px rgba(0, 0, 0, 0.15); }
+    .square .facsimile { justify-content: flex-end; }
+    .square .facsimile .text { max-width: 100%; padding-right: 0; }
+    .square .facsimile-card footer { margin-right: 0; padding-right: 0; }
+`
+
+function byline(data) {
+    return [data.author, data.year].filter(Boolean).join(', ')
+}
+
+// Heading for reader cards: the poem or chapter title, else the book title
+function readerHeading(data) {
+    return data.chapterTitle || data.bookTitle
+}
+
+// Room left for the quote on each canvas, in px, and the font size range it is set in
+const QUOTE_AREAS = {
+    wide: { width: 1000, height: 360 },
+    square: { width: 750, height: 600 }
+}
+const QUOTE_FONT_SIZES = [20, 40]
+
+/**
+ * Largest font size at which the quoted stanzas fit the card
+ * Georgia averages about half an em per character
+ */
+function quoteFontSize(stanzas, canvas) {
+    const area = QUOTE_AREAS[canvas]
+    const lines = stanzas.reduce((n, stanza) => n + stanza.length, 0)
+    const longest = Math.max(...stanzas.flat().map(line => line.length))
+    const byHeight = area.height / (lines * 1.45 + (stanzas.length - 1) * 0.6)
+    const byWidth = area.width / (longest * 0.5)
+    const [min, max] = QUOTE_FONT_SIZES
+    return Math.floor(Math.max(min, Math.min(max, byHeight, byWidth)))
+}
+
+const layouts = {
+    poem: data => `
+        <div class="content">
+            <div class="text">
+                <div class="byline">${escapeHtml(byline(data))}</div>
+                <h2>${escapeHtml(readerHeading(data))}</h2>
+                <div class="excerpt">
+                    ${(data.stanzas || []).map(stanza => `
+                        <div class="stanza">
+                            ${stanza.map(line => `<div class="line">${escapeHtml(line)}</div>`).join('')}
+                        </div>`).join('')}
+                </div>
+            </div>
+        </div>`,
+
+    quote: (data, canvas) => `
+        <div class="content">
+            <div class="text">
+                <div class="byline">${escapeHtml(byline(data))}</div>
+                <h2>${escapeHtml(readerHeading(data))}</h2>
+                <div class="quote" style="font-size: ${quoteFontSize(data.stanzas, canvas)}px">
+                    ${data.stanzas.map(stanza => `
+                        <div class="stanza">
+                            ${stanza.map(line => `<div class="line"><mark>${escapeHtml(line)}</mark></div>`).join('')}
+                        </div>`).join('')}
+                </div>
+            </div>
+        </div>`,
+
+    prose: data => `
+        <div class="content">
+            <div class="text">
+                <div class="byline">${escapeHtml(byline(data))}</div>
+                <h2>${escapeHtml(readerHeading(data))}</h2>
+                <div class="excerpt">
+                    ${(data.paragraphs || []).map(p => `<p class="prose">${escapeHtml(p)}</p>`).join('')}
+                </div>
+            </div>
+        </div>`,
+
+    titlepage: data => `
+        <div class="content titlepage">
+            <div class="text">
+                <h1>${escapeHtml(data.bookTitle || data.chapterTitle)}</h1>
+                <div class="rule"></div>
+                <div class="subtitle">${escapeHtml(data.author)}</div>
+                ${data.year ? `<div class="subtitle">${escapeHtml(data.year)}</div>` : ''}
+            </div>
+        </div>`,
+
+    facsimile: data => `
+        ${data.imageUrl ? `<img class="facsimile-image" src="${escapeHtml(data.imageUrl)}">` : ''}
+        <div class="content facsimile">
+            <div class="text">
+                <div class="byline">${escapeHtml(byline(data))}</div>
+                <h1>${escapeHtml(readerHeading(data))}</h1>
+                ${data.chapterTitle && data.bookTitle ? `<div class="subtitle">${escapeHtml(data.bookTitle)}</div>` : ''}
+            </div>
+        </div>`,
+
+    author: data => `
+        <div class="content">
+            ${data.portraitUrl ? `<img class="portrait" src="${escapeHtml(data.portraitUrl)}">` : ''}
+            <div class="text">
+                <h1>${escapeHtml(data.name)}</h1>
+                ${data.lifeDates ? `<div class="subtitle">${escapeHtml(data.lifeDates)}</div>` : ''}
+                ${data.description ? `<div class="summary">${escapeHtml(data.description)}</div>` : ''}
+            </div>
+        </div>`,
+
+    title: data => `
+        <div class="content">
+            <div class="text">
+                <h1>${escapeHtml(data.bookTitle)}</h1>
+                <div class="subtitle">${escapeHtml(byline(data))}</div>
+                ${data.description ? `<div class="summary">${escapeHtml(data.description)}</div>` : ''}
+            </div>
+        </div>`,
+
+    listing: data => `
+        <div class="content">
+            <div class="text">
+                <h1>${escapeHtml(data.title)}</h1>
+                ${data.description ? `<div class="summary">${escapeHtml(data.description)}</div>` : ''}
+            </div>
+        </div>`
+}
+
+function footer() {
+    const brand = LOGO_URL
+        ? `<img class="logo" src="${escapeHtml(LOGO_URL)}" alt="${SITE_NAME}">`
+        : LOGO_SVG
+    return `<footer>${brand}<span>${SITE_HOST}</span></footer>`
+}
+
+/**
+ * Build the card HTML for a layout on a canvas
+ */
+export function renderCardHtml(layout, data, canvas = 'wide') {
+    if (!layouts[layout]) {
+        throw new Error(`Unknown card layout: ${layout}`)
+    }
+    return `<!DOCTYPE html>
+<html lang="sv" class="${canvas}">
+<head><meta charset="utf-8"><style>${BASE_CSS}</style></head>
+<body class="${layout}-card">
+    ${layouts[layout](data, canvas)}
+    ${footer()}
+</body>
+</html>`
+}
+
+/**
+ * Render a card on a page and return it as a PNG
+ * The page may come straight from a render of the site, so request interception
+ * is switched off first: the card's images (portrait, logo) must load
+ */
+export async function renderCard(page, { layout, data, canvas = 'wide' }) {
+    const { width, height } = CANVASES[canvas]
+    page.removeAllListeners('request')
+    await page.setRequestInterception(false)
+    await page.setViewport({ width, height, deviceScaleFactor: 1 })
+    await page.setContent(renderCardHtml(layout, data, canvas), { waitUntil: 'networkidle0', timeout: 10000 })
+    return page.screenshot({
+        type: 'png',
+        clip: { x: 0, y: 0, width, height }
+    })
+}
+
+export default {
+    CANVASES,
+    renderCardHtml,
+    renderCard
+}
@@ -2,39 +2,47 @@
  * OG Preview Generator for Litteraturbanken Reader Pages
  * 
  * Generates Open Graph social media preview images and metadata
- * for reader pages (URLs containing /sida/).
+ * for reader pages (URLs containing /sida/), author pages, title overview
+ * pages and the main listing pages.
  */
 
 import sharp from 'sharp'
+import * as cheerio from 'cheerio'
+import logger from './logger'
+import { renderCard } from './og-card'
 
-const OG_IMAGE_WIDTH = 1200
-const OG_IMAGE_HEIGHT = 630
+const log = logger.child({ component: 'OgPreview' })
 
-// Simple in-memory cache for generated images (key: url, value: {buffer, timestamp})
-const imageCache = new Map()
-const CACHE_TTL = 60 * 60 * 1000 // 1 hour in ms
-const MAX_CACHE_SIZE = 100
-
-function getCachedImage(url) {
-    const cached = imageCache.get(url)
-    if (cached && (Date.now() - cached.timestamp) < CACHE_TTL) {
-        return cached.buffer
-    }
-    if (cached) {
-        imageCache.delete(url) // Expired
-    }
-    return null
+// Image size presets: the canvas the card is laid out on and the size it is scaled to
+export const OG_IMAGE_SIZES = {
+    large: { width: 1200, height: 630, canvas: 'wide' },       // summary_large_image, Facebook, LinkedIn
+    square: { width: 600, height: 600, canvas: 'square' },     // twitter:card=summary, messaging apps
+    thumbnail: { width: 400, height: 210, canvas: 'wide' }
 }
 
-function setCachedImage(url, buffer) {
-    // Evict oldest if cache is full
-    if (imageCache.size >= MAX_CACHE_SIZE) {
-        const oldestKey = imageCache.keys().next().value
-        imageCache.delete(oldestKey)
-    }
-    imageCache.set(url, { buffer, timestamp: Date.now() })
+// Output formats and their encoder options
+export const OG_IMAGE_FORMATS = {
+    jpeg: { type: 'image/jpeg', options: { quality: 85, mozjpeg: true } },
+    webp: { type: 'image/webp', options: { quality: 80 } },
+    avif: { type: 'image/avif', options: { quality: 55, effort: 3 } }
 }
 
+// Formats offered to clients that accept them, in order of preference. JPEG is the fallback
+const NEGOTIATED_FORMATS = (process.env.OG_IMAGE_FORMATS || 'avif,webp')
+    .split(',').map(f => f.trim()).filter(f => Object.hasOwn(OG_IMAGE_FORMATS, f))
+
+// Format advertised in meta tags. Unfurlers don't all read WebP or AVIF, so JPEG by default
+export const META_IMAGE_FORMAT = Object.hasOwn(OG_IMAGE_FORMATS, process.env.OG_META_IMAGE_FORMAT) ? process.env.OG_META_IMAGE_FORMAT : 'jpeg'
+
+// Size presets advertised in meta tags, in order
+export const META_IMAGE_SIZES = ['large', 'square']
+
+// twitter:card type; `summary` shows the square image
+const TWITTER_CARD = process.env.OG_TWITTER_CARD === 'summary' ? 'summary' : 'summary_large_image'
+
+// Use a real browser user agent - the custom littb-snapshot-og agent may be blocked by Cloudflare
+export const CHROME_UA = "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36"
+
 /**
  * Check if a URL is a reader page
  */
@@ -65,11 +73,258 @@ export function parseReaderUrl(urlPath) {
     return null
 }
 
+/**
+ * Parse author URL
+ * URL format: /författare/{authorId}
+ */
+export function parseAuthorUrl(urlPath) {
+    const match = urlPath.match(/^\/författare\/([^/]+)\/?$/)
+    if (match) {
+        return {
+            authorId: match[1]
+        }
+    }
+    return null
+}
+
+/**
+ * Parse title overview URL
+ * URL format: /författare/{authorId}/titlar/{titleId}
+ */
+export function parseTitleUrl(urlPath) {
+    const match = urlPath.match(/^\/författare\/([^/]+)\/titlar\/([^/]+)\/?$/)
+    if (match) {
+        return {
+            authorId: match[1],
+            titleId: match[2]
+        }
+    }
+    return null
+}
+
+// Listing pages that get a preview, with the name shown on the card
+const LISTING_PAGES = {
+    '/': 'Litteraturbanken',
+    '/bibliotek': 'Biblioteket',
+    '/författare': 'Författare',
+    '/epub': 'E-böcker',
+    '/ljudochbild': 'Ljud och bild',
+    '/skolan': 'Skolan'
+}
+
+function decodePath(urlPath) {
+    try {
+        return decodeURIComponent(urlPath)
+    } catch (_) {
+        return urlPath
+    }
+}
+
+/**
+ * Detect the kind of page a URL path shows, for choosing how to preview it
+ * Returns 'reader' (text and facsimile pages), 'author', 'title', 'listing',
+ * or null for pages without a preview
+ */
+export function getPageType(urlPath) {
+    const path = decodePath(urlPath)
+
+    if (isReaderPage(path)) return 'reader'
+    if (parseAuthorUrl(path)) return 'author'
+    if (parseTitleUrl(path)) return 'title'
+    if (LISTING_PAGES[path.length > 1 ? path.replace(/\/$/, '') : path]) return 'listing'
+    return null
+}
+
+// Lines of verse and characters of prose shown on reader cards
+const EXCERPT_LINES = 12
+const EXCERPT_CHARS = 420
+
+// Width the scan is reduced to before it is placed on a facsimile card
+const FACSIMILE_WIDTH = 900
+
+function cleanText(text) {
+    return text.replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * Extract the opening of a reader page's text for its card
+ * Verse is kept as stanzas of lines, prose as paragraphs
+ */
+export function extractExcerpt($) {
+    const etext = $('.etext').first()
+
+    const stanzas = []
+    let remaining = EXCERPT_LINES
+    const groups = etext.find('._lg').length ? etext.find('._lg').toArray() : [etext]
+    for (const group of groups) {
+        if (remaining <= 0) break
+        const lines = $(group).find('._l').toArray()
+            .map(el => cleanText($(el).text()))
+            .filter(Boolean)
+            .slice(0, remaining)
+        if (lines.length) {
+            stanzas.push(lines)
+            remaining -= lines.length
+        }
+    }
+
+    const paragraphs = []
+    let chars = 0
+    for (const el of etext.find('._p, p').toArray()) {
+        // Stop rather than end on a stub of a few words
+        if (EXCERPT_CHARS - chars < 80) break
+        const text = cleanText($(el).text())
+        if (!text) continue
+        paragraphs.push(truncate(text, EXCERPT_CHARS - chars))
+        chars += text.length
+    }
+
+    return {
+        stanzas,
+        paragraphs,
+        isTitlePage: $('.titelsida, .smutstitelsida').length > 0
+    }
+}
+
+/**
+ * Choose the card layout for a reader page
+ */
+function readerLayout(excerpt) {
+    if (excerpt.isTitlePage) return 'titlepage'
+    if (excerpt.stanzas.length) return 'poem'
+    return 'prose'
+}
+
+// Most lines a quote card can fit
+const MAX_QUOTE_LINES = 16
+
+/**
+ * Error for a line selection that is malformed (400) or matches no lines (404)
+ */
+export class LineSelectionError extends Error {
+    constructor(message, status = 400) {
+        super(message)
+        this.name = 'LineSelectionError'
+        this.status = status
+    }
+}
+
+/**
+ * Parse a line selection from the query of an OG request
+ * `?rader=5-12` (or `?rader=7`) selects lines by number, counted from 1 over the
+ * page's `._l` lines; `?ankare={id}` selects the lines in (or of) the element with that ID.
+ * Returns null without a selection; selections are only valid on reader text pages
+ */
+export function parseLineSelection(query, urlPath) {
+    const { rader, ankare } = query
+    if (rader === undefined && ankare === undefined) return null
+
+    const path = decodePath(urlPath)
+    if (!isReaderPage(path) || isFacsimilePage(path)) {
+        throw new LineSelectionError('Line selections are only available for reader text pages')
+    }
+    if (rader !== undefined && ankare !== undefined) {
+        throw new LineSelectionError('Use either rader or ankare, not both')
+    }
+
+    if (ankare !== undefined) {
+        if (typeof ankare !== 'string' || !/^[\w.:-]{1,100}$/.test(ankare)) {
+            throw new LineSelectionError('Invalid anchor ID')
+        }
+        return { anchor: ankare }
+    }
+
+    const match = typeof rader === 'string' && rader.match(/^(\d+)(?:-(\d+))?$/)
+    if (!match) {
+        throw new LineSelectionError('Invalid line range, expected e.g. rader=5-12')
+    }
+    const from = Number(match[1])
+    const to = match[2] ? Number(match[2]) : from
+    if (from < 1 || to < from) {
+        throw new LineSelectionError('Invalid line range, expected e.g. rader=5-12')
+    }
+    if (to - from + 1 > MAX_QUOTE_LINES) {
+        throw new LineSelectionError(`At most ${MAX_QUOTE_LINES} lines can be selected`)
+    }
+    return { from, to }
+}
+
+/**
+ * Query string for a line selection, as used in image URLs and cache keys
+ */
+export function selectionQuery(selection) {
+    if (!selection) return ''
+    if (selection.anchor) return `ankare=${encodeURIComponent(selection.anchor)}`
+    return selection.from === selection.to ? `rader=${selection.from}` : `rader=${selection.from}-${selection.to}`
+}
+
+/**
+ * Throw the 404 of a selection that recently matched no lines on the page
+ * Kept in the 'og-selection-miss' kind of `cache`, shared by images and metadata,
+ * so repeated requests for lines that aren't there don't load the page again
+ */
+async function checkSelectionMiss(cache, url, selection) {
+    if (!cache || !selection) return
+    const cached = await cache.get('og-selection-miss', `${url}?${selectionQuery(selection)}`)
+    if (cached) {
+        throw new LineSelectionError(cached.value, 404)
+    }
+}
+
+/**
+ * Remember a selection that matched no lines, see checkSelectionMiss
+ */
+async function recordSelectionMiss(cache, url, selection, error) {
+    if (cache && selection && error instanceof LineSelectionError && error.status === 404) {
+        await cache.set('og-selection-miss', `${url}?${selectionQuery(selection)}`, error.message)
+    }
+}
+
+/**
+ * Select the quoted lines from a reader page, grouped by stanza
+ * Throws a 404 LineSelectionError when the selection matches no lines
+ */
+export function selectLines($, selection) {
+    const etext = $('.etext').first()
+    let lines
+    if (selection.anchor) {
+        const target = etext.find('[id]').filter((i, el) => $(el).attr('id') === selection.anchor).first()
+        lines = target.is('._l') ? target.toArray() : target.find('._l').toArray().slice(0, MAX_QUOTE_LINES)
+    } else {
+        lines = etext.find('._l').toArray().slice(selection.from - 1, selection.to)
+    }
+
+    const stanzas = []
+    let lastGroup
+    for (const el of lines) {
+        const text = cleanText($(el).text())
+        if (!text) continue
+        const group = $(el).closest('._lg')[0]
+        if (!stanzas.length || group !== lastGroup) {
+            stanzas.push([])
+        }
+        stanzas[stanzas.length - 1].push(text)
+        lastGroup = group
+    }
+
+    if (!stanzas.length) {
+        throw new LineSelectionError('The selected lines were not found on the page', 404)
+    }
+    return stanzas
+}
+
+/**
+ * Quoted text for og:description, with stanzas and lines separated by slashes
+ */
+function quoteText(stanzas) {
+    return `”${truncate(stanzas.map(lines => lines.join(' / ')).join(' // '), 280)}”`
+}
+
 /**
  * Generate OG image for a facsimile page by fetching the underlying image
- * and resizing/cropping it to OG dimensions
+ * and setting it beside the page's title
  */
-async function generateFacsimileOgImage({ browser, pagePool, url }) {
+async function generateFacsimileOgImage({ browser, pagePool, url, canvas }) {
     let page = null
     let fromPool = false
 
@@ -104,7 +359,7 @@ async function generateFacsimileOgImage({ browser, pagePool, url }) {
                     className: img.className
                 }))
             })
-            console.error('[Facsimile] Images on page:', JSON.stringify(images, null, 2))
+            log.error('Facsimile image not found', { url, images })
             throw new Error(`Facsimile image not loaded: ${selectorError.message}`)
         }
         
@@ -117,6 +372,8 @@ async function generateFacsimileOgImage({ browser, pagePool, url }) {
         if (!imageUrl) {
             throw new Error('Could not find facsimile image')
         }
+
+        const metadata = extractMetadataFromHtml(cheerio.load(await page.content()))
         
         // Request the largest pre-rendered size (5) instead of whatever size the page loaded
         // URL pattern: .../lb11625223_3/lb11625223_3_0003.jpeg -> .../lb11625223_5/lb11625223_5_0003.jpeg
@@ -131,17 +388,18 @@ async function generateFacsimileOgImage({ browser, pagePool, url }) {
         }
         const imageBuffer = Buffer.from(await response.arrayBuffer())
         
-        // Use sharp to resize and crop to OG dimensions
-        // We'll resize to fit width, then crop from top to get OG aspect ratio
-        const processedImage = await sharp(imageBuffer)
-            .resize(OG_IMAGE_WIDTH, OG_IMAGE_HEIGHT, {
-                fit: 'cover',
-                position: 'top' // Keep top of image, crop bottom
-            })
+        // The card crops the scan to fit its canvas, keeping the top of the page
+        const scan = await sharp(imageBuffer)
+            .resize({ width: FACSIMILE_WIDTH, withoutEnlargement: true })
             .jpeg({ quality: 85 })
             .toBuffer()
-        
-        return processedImage
+
+        // Passed inline so the card doesn't fetch the scan a second time
+        return await renderCard(page, {
+            layout: 'facsimile',
+            data: { ...metadata, imageUrl: `data:image/jpeg;base64,${scan.toString('base64')}` },
+            canvas
+        })
 
     } finally {
         if (page) {
@@ -155,27 +413,50 @@ async function generateFacsimileOgImage({ browser, pagePool, url }) {
 }
 
 /**
- * Generate OG preview image from a reader page
+ * Generate OG image for author, title and listing pages by loading the page
+ * for its metadata and rendering it as a card on the same browser page
  */
-export async function generateOgImage({ browser, pagePool, url, outputPath }) {
-    // Check cache first
-    const cached = getCachedImage(url)
-    if (cached) {
-        return cached
-    }
+async function generateCardOgImage({ browser, pagePool, url, pageType, canvas }) {
+    let page = null
+    let fromPool = false
+
+    try {
+        // Try to get page from pool, fallback to creating new page
+        if (pagePool) {
+            page = await pagePool.acquire()
+            fromPool = true
+        } else {
+            page = await browser.newPage()
+        }
+        await page.setUserAgent(CHROME_UA)
+
+        await page.goto(url, { waitUntil: "networkidle2", timeout: 30000 })
+        const metadata = extractMetadataFromHtml(cheerio.load(await page.content()), pageType, url)
+
+        return await renderCard(page, {
+            layout: pageType,
+            data: metadata,
+            canvas
+        })
 
-    // For facsimile pages, fetch the underlying image directly (much faster)
-    if (isFacsimilePage(url)) {
-        const imageBuffer = await generateFacsimileOgImage({ browser, pagePool, url })
-        setCachedImage(url, imageBuffer)
-        return imageBuffer
+    } finally {
+        if (page) {
+            if (fromPool && pagePool) {
+                await pagePool.release(page)
+            } else {
+                await page.close()
+            }
+        }
     }
+}
 
+/**
+ * Generate OG image for a reader text page, as a card with the opening
+ * of the text laid out as a poem, prose or a title page
+ */
+async function generateReaderOgImage({ browser, pagePool, url, selection, canvas }) {
     let page = null
     let fromPool = false
-    
-    // Use a real browser user agent - the custom littb-snapshot-og agent may be blocked by Cloudflare
-    const CHROME_UA = "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36"
 
     try {
         // Try to get page from pool, fallback to creating new page
@@ -188,24 +469,17 @@ export async function generateOgImage({ browser, pagePool, url, outputPath }) {
         await page.setUserAgent(CHROME_UA)
         
         // Block unnecessary resources for faster loading
+        // Only the text is read from the page, so fonts and styles aren't needed either
         await page.setRequestInterception(true)
         page.on('request', (req) => {
             const resourceType = req.resourceType()
-            // Block images, media, and websockets - we only need HTML/CSS/JS/fonts
-            if (['image', 'media', 'websocket'].includes(resourceType)) {
+            if (['image', 'media', 'font', 'websocket'].includes(resourceType)) {
                 req.abort()
             } else {
                 req.continue()
             }
         })
         
-        // Set viewport to OG image dimensions
-        await page.setViewport({
-            width: OG_IMAGE_WIDTH,
-            height: OG_IMAGE_HEIGHT,
-            deviceScaleFactor: 1.5 // Slightly lower for speed, still good quality
-        })
-        
         // Wait for page to load - use networkidle2 for Angular SPA
         await page.goto(url, { waitUntil: "networkidle2", timeout: 30000 })
         
@@ -222,180 +496,29 @@ export async function generateOgImage({ browser, pagePool, url, outputPath }) {
             // Check if this is a page that doesn't exist or has no content
             const hasSearching = await page.evaluate(() => !!document.querySelector('.searching'))
             if (hasSearching) {
-                console.error('[OG Preview] Page content never loaded (stuck in searching state) for:', url)
+                log.error('Page content never loaded (stuck in searching state)', { url })
                 throw new Error('Page content could not be loaded - the page may not exist')
             }
             throw selectorError
         }
-        
-        // Inject custom styles for OG preview
-        await page.addStyleTag({
-            content: `
-                /* Hide navigation and sidebar */
-                #leftCorridor,
-                #rightCorridor,
-                .mainnav,
-                .logo_link_monogram,
-                .pager_ctrls,
-                .preloader,
-                footer,
-                .toolbar,
-                #toolbar,
-                .nav-controls,
-                [role="navigation"] {
-                    display: none !important;
-                }
-                
-                /* Style the body for OG preview */
-                body {
-                    background: linear-gradient(135deg, #faf8f5 0%, #f5f0e8 100%) !important;
-                    margin: 0 !important;
-                    padding: 0 !important;
-                    overflow: hidden !important;
-                }
-                
-                /* Center and style the text content */
-                .reader_main,
-                #mainview {
-                    position: fixed !important;
-                    top: 0 !important;
-                    left: 0 !important;
-                    right: 0 !important;
-                    bottom: 0 !important;
-                    display: flex !important;
-                    align-items: center !important;
-                    justify-content: center !important;
-                    padding: 30px 50px !important;
-                    box-sizing: border-box !important;
-                    container-type: inline-size !important;
-                    container-name: mainview !important;
-                }
-                
-                .etext.txt {
-                    max-width: 900px !important;
-                    max-height: 560px !important;
-                    overflow: hidden !important;
-                    font-size: 22px !important;
-                    line-height: 1.5 !important;
-                    color: #2c2c2c !important;
-                    text-align: center !important;
-                    position: relative !important;
-                }
-                
-                /* Container query: scale down text for narrower containers */
-                @container mainview (max-width: 1100px) {
-                    .etext.txt {
-                        font-size: 20px !important;
-                    }
-                    ._head, .poemname, .titlepage h1, .titlepage h2, .titlepage .title {
-                        font-size: 22px !important;
-                    }
-                }
-                
-                @container mainview (max-width: 900px) {
-                    .etext.txt {
-                        font-size: 18px !important;
-                    }
-                    ._head, .poemname, .titlepage h1, .titlepage h2, .titlepage .title {
-                        font-size: 20px !important;
-                    }
-                }
-                
-                /* Style poem headings and title pages */
-                ._head, .poemname, .titlepage h1, .titlepage h2, .titlepage .title,
-                .titelsida, .smutstitelsida, ._p.title, .titelsida *, .smutstitelsida * {
-                    font-size: 24px !important;
-                    font-weight: 600 !important;
-                    margin-bottom: 12px !important;
-                    margin-top: 0 !important;
-                    letter-spacing: 0.02em !important;
-                    color: #1a1a1a !important;
-                    max-width: 100% !important;
-                    overflow: visible !important;
-                    word-wrap: break-word !important;
-                }
-                
-                /* Override extreme letter-spacing on any text - use multiple selectors for specificity */
-                .etext.txt *,
-                .etext *,
-                .reader_main *,
-                #mainview .etext *,
-                .titelsida *,
-                .smutstitelsida *,
-                ._p.title,
-                ._p.title * {
-                    letter-spacing: normal !important;
-                }
-                
-                /* Force smaller font on title page elements */
-                .titelsida ._p.title,
-                .smutstitelsida ._p.title,
-                ._p.title .w {
-                    font-size: 28px !important;
-                    letter-spacing: 0.05em !important;
-                }
-                
-                /* Poetry line styling */
-                ._l {
-                    display: block !important;
-                    margin: 2px 0 !important;
-                }
-                
-                ._lg {
-                    margin: 10px 0 !important;
-                }
-                
-                /* Fade out overflow text - on full-width container */
-                #mainview::after {
-                    content: '' !important;
-                    position: fixed !important;
-                    bottom: 0 !important;
-                    left: 0 !important;
-                    right: 0 !important;
-                    height: 120px !important;
-                    background: linear-gradient(transparent, #f5f0e8) !important;
-                    pointer-events: none !important;
-                    z-index: 100 !important;
-                }
-                
-                /* Hide page number elements */
-                .pname::before {
-                    display: none !important;
-                }
-            `
-        })
-        
-        // Force reset letter-spacing via JavaScript (inline styles have highest specificity)
-        await page.evaluate(() => {
-            // Reset letter-spacing on all text elements
-            document.querySelectorAll('.etext *, .reader_main *, .titelsida *, .smutstitelsida *').forEach(el => {
-                el.style.setProperty('letter-spacing', 'normal', 'important');
-            });
-            // Also reset font-size on title elements to something reasonable
-            document.querySelectorAll('._p.title, ._p.title *, .titelsida ._p, .smutstitelsida ._p').forEach(el => {
-                const currentSize = parseFloat(window.getComputedStyle(el).fontSize);
-                if (currentSize > 40) {
-                    el.style.setProperty('font-size', '28px', 'important');
-                }
-            });
-        })
-        
-        // Take the screenshot
-        const screenshotBuffer = await page.screenshot({
-            type: 'jpeg',
-            quality: 85, // Slightly lower for smaller file size
-            clip: {
-                x: 0,
-                y: 0,
-                width: OG_IMAGE_WIDTH,
-                height: OG_IMAGE_HEIGHT
-            }
+
+        const $ = cheerio.load(await page.content())
+        const metadata = extractMetadataFromHtml($)
+
+        if (selection) {
+            return await renderCard(page, {
+                layout: 'quote',
+                data: { ...metadata, stanzas: selectLines($, selection) },
+                canvas
+            })
+        }
+
+        const excerpt = extractExcerpt($)
+        return await renderCard(page, {
+            layout: readerLayout(excerpt),
+            data: { ...metadata, ...excerpt },
+            canvas
         })
-        
-        // Cache the result
-        setCachedImage(url, screenshotBuffer)
-        
-        return screenshotBuffer
 
     } finally {
         if (page) {
@@ -409,11 +532,86 @@ export async function generateOgImage({ browser, pagePool, url, outputPath }) {
 }
 
 /**
- * Extract metadata from a reader page
+ * Choose an image format from an Accept header
+ * Formats in OG_IMAGE_FORMATS are used when accepted (q > 0), JPEG otherwise
  */
-export async function extractMetadata({ browser, pagePool, url }) {
+export function negotiateImageFormat(accept) {
+    const accepted = new Set()
+    for (const part of (accept || '').split(',')) {
+        const [type, ...params] = part.trim().toLowerCase().split(';')
+        const q = params.map(p => p.trim()).find(p => p.startsWith('q='))
+        if (q && Number(q.slice(2)) === 0) continue
+        accepted.add(type.trim())
+    }
+    return NEGOTIATED_FORMATS.find(format => accepted.has(OG_IMAGE_FORMATS[format].type)) || 'jpeg'
+}
+
+/**
+ * Scale a rendered card to a size preset and encode it
+ */
+async function encodeImage(png, preset, format) {
+    return sharp(png)
+        .resize(preset.width, preset.height)
+        .toFormat(format, OG_IMAGE_FORMATS[format].options)
+        .toBuffer()
+}
+
+/**
+ * Generate OG preview image for a page
+ * Every page type is rendered as a branded card; reader pages pick a layout
+ * from their text, facsimile pages show the scanned page
+ * With a line `selection` (see parseLineSelection), reader pages show only those lines
+ * `size` is a key of OG_IMAGE_SIZES and `format` a key of OG_IMAGE_FORMATS
+ * Images are kept in the 'og-image' kind of `cache`, the shared cache (see cache.js)
+ * `acquireBrowser` resolves to { browser, pagePool } and is only called on a cache miss,
+ * so cached images are served while the browser is unavailable
+ * Returns { image, createdAt }, createdAt being when the image was rendered
+ */
+export async function generateOgImage({ acquireBrowser, cache = null, url, selection = null, size = 'large', format = 'jpeg' }) {
+    // Check cache first, each selection, size and format of a page is cached separately
+    const cacheKey = `${selection ? `${url}?${selectionQuery(selection)}` : url} ${size}.${format}`
+    const cached = cache && await cache.get('og-image', cacheKey)
+    if (cached) {
+        return { image: cached.value, createdAt: cached.createdAt }
+    }
+
+    await checkSelectionMiss(cache, url, selection)
+
+    const { browser, pagePool } = await acquireBrowser()
+    const preset = OG_IMAGE_SIZES[size]
+    const { canvas } = preset
+    const pageType = getPageType(new URL(url).pathname) || 'reader'
+    let card
+    if (pageType !== 'reader') {
+        card = await generateCardOgImage({ browser, pagePool, url, pageType, canvas })
+    } else if (isFacsimilePage(url)) {
+        // For facsimile pages, fetch the underlying image directly (much faster)
+        card = await generateFacsimileOgImage({ browser, pagePool, url, canvas })
+    } else {
+        try {
+            card = await generateReaderOgImage({ browser, pagePool, url, selection, canvas })
+        } catch (e) {
+            await recordSelectionMiss(cache, url, selection, e)
+            throw e
+        }
+    }
+
+    const image = await encodeImage(card, preset, format)
+    const createdAt = Date.now()
+    if (cache) {
+        await cache.set('og-image', cacheKey, image, { createdAt })
+    }
+    return { image, createdAt }
+}
+
+/**
+ * Extract metadata from a page
+ * With a line `selection`, the quoted lines are returned as `quote` and used as the description
+ */
+async function loadMetadata({ browser, pagePool, url, selection }) {
     let page = null
     let fromPool = false
+    const pageType = getPageType(new URL(url).pathname) || 'reader'
 
     try {
         // Try to get page from pool, fallback to creating new page
@@ -426,6 +624,12 @@ export async function extractMetadata({ browser, pagePool, url }) {
         await page.setUserAgent("littb-snapshot-og")
         
         await page.goto(url, { waitUntil: "networkidle0" })
+
+        // Pages other than the reader are extracted from their rendered HTML
+        if (pageType !== 'reader') {
+            return extractMetadataFromHtml(cheerio.load(await page.content()), pageType, url)
+        }
+
         await page.waitForSelector('.etext.txt', { timeout: 10000 })
         
         const metadata = await page.evaluate(() => {
@@ -469,7 +673,14 @@ export async function extractMetadata({ browser, pagePool, url }) {
             }
         })
         
-        return metadata
+        // The opening lines, as shown on the card and in oEmbed embeds
+        const $ = cheerio.load(await page.content())
+        const excerpt = extractExcerpt($)
+        if (selection) {
+            const quote = selectLines($, selection)
+            return { pageType: 'reader', ...metadata, excerpt, quote, description: quoteText(quote) }
+        }
+        return { pageType: 'reader', ...metadata, excerpt }
 
     } finally {
         if (page) {
@@ -483,14 +694,56 @@ export async function extractMetadata({ browser, pagePool, url }) {
 }
 
 /**
- * Generate OG meta tags HTML
+ * Extract metadata from a page, kept in the 'og-meta' kind of `cache`
+ * `acquireBrowser` is only called on a cache miss, as for generateOgImage
+ * Returns { metadata, createdAt }, createdAt being when the metadata was extracted
  */
-export function generateOgMetaTags({ url, imageUrl, metadata }) {
-    const { author, bookTitle, year, chapterTitle, description } = metadata
-    
+export async function extractMetadata({ acquireBrowser, cache = null, url, selection = null }) {
+    const cacheKey = selection ? `${url}?${selectionQuery(selection)}` : url
+    const cached = cache && await cache.get('og-meta', cacheKey)
+    if (cached) {
+        return { metadata: cached.value, createdAt: cached.createdAt }
+    }
+
+    await checkSelectionMiss(cache, url, selection)
+
+    const { browser, pagePool } = await acquireBrowser()
+    let metadata
+    try {
+        metadata = await loadMetadata({ browser, pagePool, url, selection })
+    } catch (e) {
+        await recordSelectionMiss(cache, url, selection, e)
+        throw e
+    }
+    const createdAt = Date.now()
+    if (cache) {
+        await cache.set('og-meta', cacheKey, metadata, { createdAt })
+    }
+    return { metadata, createdAt }
+}
+
+/**
+ * Build the preview title and description for a page's metadata
+ */
+export function describePage(metadata) {
+    const { pageType = 'reader', author, bookTitle, year, chapterTitle, description } = metadata
+
+    if (pageType === 'author') {
+        return {
+            title: metadata.lifeDates ? `${metadata.name} (${metadata.lifeDates})` : metadata.name,
+            description: description || `Läs verk av ${metadata.name} på Litteraturbanken`
+        }
+    }
+    if (pageType === 'listing') {
+        return {
+            title: metadata.title,
+            description: description || 'Litteraturbanken – svensk litteratur fritt tillgänglig'
+        }
+    }
+
     // Build the title
     let title = ''
-    if (chapterTitle) {
+    if (pageType === 'reader' && chapterTitle) {
         title = chapterTitle
     }
     if (bookTitle) {
@@ -502,38 +755,82 @@ export function generateOgMetaTags({ url, imageUrl, metadata }) {
     if (year) {
         title = `${title} (${year})`
     }
-    
+
     // Build the description
-    const ogDescription = description || `Läs ${bookTitle || 'texten'} av ${author || 'författaren'} på Litteraturbanken`
-    
+    return {
+        title,
+        description: description || `Läs ${bookTitle || 'texten'} av ${author || 'författaren'} på Litteraturbanken`
+    }
+}
+
+// og:type per page type
+const OG_TYPES = {
+    reader: 'article',
+    title: 'book',
+    author: 'profile',
+    listing: 'website'
+}
+
+/**
+ * URL of an image size preset in the advertised format
+ * `imageUrl` is the /og-image URL of the page, possibly with a line selection
+ */
+export function ogImageVariantUrl(imageUrl, size, format = META_IMAGE_FORMAT) {
+    const params = size === 'large' ? `format=${format}` : `size=${size}&format=${format}`
+    return imageUrl + (imageUrl.includes('?') ? '&' : '?') + params
+}
+
+// og:image with its structured properties, for one size preset
+function imageTags(imageUrl, size) {
+    const { width, height } = OG_IMAGE_SIZES[size]
+    return `<meta property="og:image" content="${escapeHtml(ogImageVariantUrl(imageUrl, size))}">
+<meta property="og:image:type" content="${OG_IMAGE_FORMATS[META_IMAGE_FORMAT].type}">
+<meta property="og:image:width" content="${width}">
+<meta property="og:image:height" content="${height}">`
+}
+
+/**
+ * Generate OG meta tags HTML
+ * The large image is listed first, as unfurlers that show one image take the first;
+ * the square one follows for those that prefer it
+ */
+export function generateOgMetaTags({ url, imageUrl, metadata }) {
+    const pageType = metadata.pageType || 'reader'
+    const { title, description: ogDescription } = describePage(metadata)
+
+    let typeTags = ''
+    if (pageType === 'reader' || pageType === 'title') {
+        typeTags = `
+<!-- Article metadata -->
+<meta property="${pageType === 'title' ? 'book' : 'article'}:author" content="${escapeHtml(metadata.author || '')}">`
+    }
+
     return `
 <!-- Open Graph / Facebook -->
-<meta property="og:type" content="article">
+<meta property="og:type" content="${OG_TYPES[pageType]}">
 <meta property="og:url" content="${escapeHtml(url)}">
 <meta property="og:title" content="${escapeHtml(title)}">
 <meta property="og:description" content="${escapeHtml(ogDescription)}">
-<meta property="og:image" content="${escapeHtml(imageUrl)}">
-<meta property="og:image:type" content="image/jpeg">
-<meta property="og:image:width" content="${OG_IMAGE_WIDTH}">
-<meta property="og:image:height" content="${OG_IMAGE_HEIGHT}">
+${META_IMAGE_SIZES.map(size => imageTags(imageUrl, size)).join('\n')}
 <meta property="og:site_name" content="Litteraturbanken">
 <meta property="og:locale" content="sv_SE">
 
 <!-- Twitter -->
-<meta name="twitter:card" content="summary_large_image">
+<meta name="twitter:card" content="${TWITTER_CARD}">
 <meta name="twitter:url" content="${escapeHtml(url)}">
 <meta name="twitter:title" content="${escapeHtml(title)}">
 <meta name="twitter:description" content="${escapeHtml(ogDescription)}">
-<meta name="twitter:image" content="${escapeHtml(imageUrl)}">
-
-<!-- Article metadata -->
-<meta property="article:author" content="${escapeHtml(author || '')}">
+<meta name="twitter:image" content="${escapeHtml(ogImageVariantUrl(imageUrl, TWITTER_CARD === 'summary' ? 'square' : 'large'))}">
+${typeTags}
 `.trim()
 }
 
-function escapeHtml(str) {
-    if (!str) return ''
-    return str
+/**
+ * Escape text for HTML content and quoted attributes; null and undefined become ''
+ */
+export function escapeHtml(str) {
+    if (str === null || str === undefined) return ''
+    return String(str)
         .replace(/&/g, '&amp;')
         .replace(/</g, '&lt;')
         .replace(/>/g, '&gt;')
@@ -541,11 +838,74 @@ function escapeHtml(str) {
         .replace(/'/g, '&#039;')
 }
 
+/**
+ * Shorten text to at most `max` characters, ending on a word boundary
+ */
+function truncate(text, max = 200) {
+    if (text.length <= max) return text
+    return text.slice(0, text.lastIndexOf(' ', max - 1)) + '…'
+}
+
+function firstText($, selector) {
+    const el = $(selector).first()
+    return el.length ? el.text().replace(/\s+/g, ' ').trim() || null : null
+}
+
 /**
  * Extract metadata from HTML using cheerio (no puppeteer needed)
  * This is efficient for injecting OG tags into already-fetched HTML
+ * `url` is the page URL, used to resolve relative image sources
  */
-export function extractMetadataFromHtml($) {
+export function extractMetadataFromHtml($, pageType = 'reader', url = null) {
+    if (pageType === 'author') {
+        const name = firstText($, 'h1, .author_name') || $('title').text().trim()
+
+        // Life dates, e.g. "(1900–1941)" or "(född 1945)"
+        const lifeMatch = $('body').text().match(/\((?:(\d{4})\s*[–-]\s*(\d{4})?|född\s+(\d{4}))\)/i)
+        const lifeDates = !lifeMatch ? null
+            : lifeMatch[3] ? `född ${lifeMatch[3]}`
+            : `${lifeMatch[1]}–${lifeMatch[2] || ''}`
+
+        let portraitUrl = $('img.portrait, .portrait img, .author_portrait img').first().attr('src') || null
+        if (portraitUrl && url) {
+            portraitUrl = new URL(portraitUrl, url).href
+        }
+
+        const intro = firstText($, '.presentation p, .author_intro p, .intro p')
+        return {
+            pageType,
+            name,
+            lifeDates,
+            portraitUrl,
+            description: intro ? truncate(intro) : '',
+            pageTitle: $('title').text()
+        }
+    }
+
+    if (pageType === 'title') {
+        const authorEl = $('.author a, a[href*="/författare/"]').first()
+        const yearMatch = $('#mainview').text().match(/\((\d{4})\)/)
+        const summary = firstText($, '.intro p, .description p, .summary')
+        return {
+            pageType,
+            author: authorEl.length ? authorEl.text().trim() : null,
+            bookTitle: firstText($, 'h1, .title'),
+            year: yearMatch ? yearMatch[1] : null,
+            description: summary ? truncate(summary) : '',
+            pageTitle: $('title').text()
+        }
+    }
+
+    if (pageType === 'listing') {
+        const path = url ? decodePath(new URL(url).pathname).replace(/(.)\/$/, '$1') : null
+        return {
+            pageType,
+            title: LISTING_PAGES[path] || $('title').text().trim(),
+            description: $('meta[name="description"]').attr('content') || '',
+            pageTitle: $('title').text()
+        }
+    }
+
     // Extract author from the sidebar or header
     const authorEl = $('#rightCorridor .author a, .author a').first()
     const author = authorEl.length ? authorEl.text().trim() : null
@@ -574,6 +934,7 @@ export function extractMetadataFromHtml($) {
     const description = textLines.join(' / ')
     
     return {
+        pageType: 'reader',
         author,
         bookTitle,
         year,
@@ -583,6 +944,15 @@ export function extractMetadataFromHtml($) {
     }
 }
 
+/**
+ * oEmbed discovery links for a reader text page, pointing at the /oembed endpoint on `baseUrl`
+ */
+export function oembedLinkTags(url, baseUrl, title) {
+    const endpoint = `${baseUrl}/oembed?url=${encodeURIComponent(url)}`
+    return `<link rel="alternate" type="application/json+oembed" href="${escapeHtml(endpoint)}&amp;format=json" title="${escapeHtml(title)}">
+<link rel="alternate" type="text/xml+oembed" href="${escapeHtml(endpoint)}&amp;format=xml" title="${escapeHtml(title)}">`
+}
+
 /**
  * Inject OG meta tags into HTML head
  * IMPORTANT: We use prepend() to add tags at the BEGINNING of <head>
@@ -590,9 +960,13 @@ export function extractMetadataFromHtml($) {
  * If we append(), the tags end up after ~200KB of inlined CSS and are never seen.
  */
 export function injectOgTags($, url, ogImageBaseUrl) {
-    const metadata = extractMetadataFromHtml($)
+    const pageType = getPageType(new URL(url).pathname) || 'reader'
+    const metadata = extractMetadataFromHtml($, pageType, url)
     const imageUrl = ogImageBaseUrl + '/og-image' + new URL(url).pathname
-    const metaTags = generateOgMetaTags({ url, imageUrl, metadata })
+    let metaTags = generateOgMetaTags({ url, imageUrl, metadata })
+    if (pageType === 'reader' && !isFacsimilePage(new URL(url).pathname)) {
+        metaTags += '\n' + oembedLinkTags(url, ogImageBaseUrl, describePage(metadata).title)
+    }
     
     // Inject at the BEGINNING of head so unfurlers see it within their byte limits
     // Slack: 32KB, Facebook: 512KB, Twitter: 1MB, LinkedIn: 3MB
@@ -602,12 +976,28 @@ export function injectOgTags($, url, ogImageBaseUrl) {
 }
 
 export default {
+    OG_IMAGE_SIZES,
+    OG_IMAGE_FORMATS,
+    META_IMAGE_FORMAT,
+    META_IMAGE_SIZES,
     isReaderPage,
     isFacsimilePage,
     parseReaderUrl,
+    parseAuthorUrl,
+    parseTitleUrl,
+    getPageType,
+    parseLineSelection,
+    selectionQuery,
+    selectLines,
+    negotiateImageFormat,
     generateOgImage,
+    extractExcerpt,
     extractMetadata,
     extractMetadataFromHtml,
     injectOgTags,
-    generateOgMetaTags
+    generateOgMetaTags,
+    describePage,
+    oembedLinkTags,
+    ogImageVariantUrl,
+    escapeHtml
 }
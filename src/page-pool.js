@@ -8,43 +8,190 @@
  * - Eliminates page creation overhead (~50-200ms per request)
  * - Reduces memory allocation churn
  * - Allows pre-warming of browser contexts
+ *
+ * Backpressure:
+ * - At most `maxPages` pages (pooled + temporary) exist at once, counting
+ *   pages still being created, so a burst of requests can't overshoot it
+ * - Further requests wait in a FIFO queue of at most `maxQueue` entries,
+ *   each for at most `waitTimeout` ms
+ * - A full queue or an expired wait rejects with PoolBusyError
+ * - A slot freed by a failed page creation goes to the next queued request
+ *
+ * Page health:
+ * - Pages are retired after `maxUses` leases or `maxAge` ms
+ * - A liveness probe runs before a pooled page is handed out, dead pages are replaced
+ * - Pooled pages that couldn't be created or replaced are made up for by
+ *   keeping temporary pages in the pool, up to `poolSize`
+ * - With `isolateContexts`, each lease gets a fresh page in its own incognito context
  */
 
+import logger from './logger'
+
+const log = logger.child({ component: 'PagePool' })
+
+export class PoolBusyError extends Error {
+    constructor(message, retryAfter) {
+        super(message)
+        this.name = 'PoolBusyError'
+        this.retryAfter = retryAfter // seconds
+    }
+}
+
+// Puppeteer's default viewport, restored between requests
+const DEFAULT_VIEWPORT = { width: 800, height: 600 }
+
 class PagePool {
-    constructor(browser, poolSize = 5) {
+    constructor(browser, poolSize = 5, {
+        maxPages = poolSize * 2,
+        maxQueue = 50,
+        waitTimeout = 10000,
+        maxUses = 100,
+        maxAge = 30 * 60 * 1000,
+        probeTimeout = 2000,
+        isolateContexts = false
+    } = {}) {
         this.browser = browser
         this.poolSize = poolSize
+        this.maxPages = Math.max(maxPages, poolSize)
+        this.maxQueue = maxQueue
+        this.waitTimeout = waitTimeout
+        this.maxUses = maxUses
+        this.maxAge = maxAge
+        this.probeTimeout = probeTimeout
+        this.isolateContexts = isolateContexts
         this.availablePages = []
         this.busyPages = new Set()
+        this.pendingCreates = 0 // pages being created, counted towards maxPages
+        this.waitQueue = []
+        this.waitStats = { count: 0, totalMs: 0, maxMs: 0, queueFull: 0, timedOut: 0 }
+        this.recycled = 0 // pages retired after maxUses/maxAge
+        this.replaced = 0 // pages that failed the liveness probe or reset
+        this.missingPages = 0 // pooled pages lost to failed creations, see release()
         this.initialized = false
+        this.initPromise = null
     }
 
     /**
      * Initialize the pool with pre-created pages
+     * Concurrent calls share one initialization
      */
-    async init() {
-        if (this.initialized) return
+    init() {
+        if (this.initialized) return Promise.resolve()
+        if (!this.initPromise) {
+            this.initPromise = this.createInitialPages().finally(() => {
+                this.initPromise = null
+            })
+        }
+        return this.initPromise
+    }
 
-        console.log(`[PagePool] Initializing pool with ${this.poolSize} pages...`)
+    async createInitialPages() {
+        log.info('Initializing pool', { poolSize: this.poolSize })
         const startTime = Date.now()
 
         for (let i = 0; i < this.poolSize; i++) {
             try {
-                const page = await this.browser.newPage()
+                const page = await this.createPage()
                 this.availablePages.push(page)
             } catch (e) {
-                console.error(`[PagePool] Failed to create page ${i}:`, e)
+                this.missingPages++
+                log.error('Failed to create page', { index: i, error: e })
             }
         }
 
         this.initialized = true
         const duration = Date.now() - startTime
-        console.log(`[PagePool] Initialized with ${this.availablePages.length} pages in ${duration}ms`)
+        log.info('Pool initialized', { pages: this.availablePages.length, durationMs: duration })
+    }
+
+    /**
+     * Create a page, in its own incognito context if isolateContexts is set
+     */
+    async createPage() {
+        let page
+        if (this.isolateContexts) {
+            const context = await this.browser.createBrowserContext()
+            try {
+                page = await context.newPage()
+            } catch (e) {
+                await context.close().catch(() => {})
+                throw e
+            }
+            page._context = context
+        } else {
+            page = await this.browser.newPage()
+        }
+        page._createdAt = Date.now()
+        page._uses = 0
+        return page
+    }
+
+    /**
+     * Create a page and count it as busy
+     * Its slot is taken from the start, so concurrent acquires see it before it exists
+     */
+    async createBusyPage() {
+        this.pendingCreates++
+        try {
+            const page = await this.createPage()
+            this.busyPages.add(page)
+            return page
+        } finally {
+            this.pendingCreates--
+        }
+    }
+
+    /**
+     * Close a busy page and create its replacement, busy in its place
+     * The slot stays taken throughout; if creating the replacement fails it is freed
+     */
+    async replacePage(page) {
+        this.pendingCreates++
+        this.busyPages.delete(page)
+        try {
+            await this.closePage(page)
+            let replacement
+            try {
+                replacement = await this.createPage()
+            } catch (e) {
+                if (!page._isTemporary) this.missingPages++
+                throw e
+            }
+            replacement._isTemporary = page._isTemporary
+            this.busyPages.add(replacement)
+            return replacement
+        } finally {
+            this.pendingCreates--
+        }
+    }
+
+    /**
+     * Pages that exist or are being created
+     */
+    pageCount() {
+        return this.availablePages.length + this.busyPages.size + this.pendingCreates
+    }
+
+    /**
+     * Close a page and its isolated context
+     */
+    async closePage(page) {
+        try {
+            await page.close()
+        } catch (e) {
+            log.error('Error closing page', { error: e })
+        }
+        if (page._context) {
+            try {
+                await page._context.close()
+            } catch (_) {}
+        }
     }
 
     /**
      * Acquire a page from the pool
-     * If no pages are available, create a new temporary page
+     * If no pages are available, create a new temporary page while below maxPages,
+     * otherwise wait in the queue for a page to be released
      */
     async acquire() {
         // Ensure pool is initialized
@@ -54,90 +201,236 @@ class PagePool {
 
         let page = this.availablePages.pop()
 
+        if (!page && this.pageCount() >= this.maxPages) {
+            return this.enqueue()
+        }
+
         if (!page) {
             // Pool exhausted - create temporary page
-            console.log('[PagePool] Pool exhausted, creating temporary page')
-            page = await this.browser.newPage()
+            log.info('Pool exhausted, creating temporary page', { busy: this.busyPages.size, creating: this.pendingCreates })
+            page = await this.createBusyPage()
             page._isTemporary = true
-        } else {
-            // Reset page state before reuse
-            console.log(`[PagePool] Acquired page from pool (${this.busyPages.size + 1} busy, ${this.availablePages.length} available)`)
-            await this.resetPage(page)
+            page._uses++
+            return page
         }
 
+        // Count the page as busy while it is checked, so maxPages holds
         this.busyPages.add(page)
-        return page
+        log.debug('Acquired page from pool', { busy: this.busyPages.size, available: this.availablePages.length })
+        try {
+            return await this.preparePage(page)
+        } catch (e) {
+            this.busyPages.delete(page)
+            this.serveWaiter()
+            throw e
+        }
+    }
+
+    /**
+     * Check and reset a busy page before it is handed out
+     * A page that fails the liveness probe or the reset is closed and replaced,
+     * the returned page is the one to use
+     */
+    async preparePage(page) {
+        if (await this.isAlive(page)) {
+            try {
+                await this.resetPage(page)
+                page._uses++
+                return page
+            } catch (e) {
+                log.error('Error resetting page', { error: e })
+            }
+        } else {
+            log.warn('Page failed liveness probe')
+        }
+
+        // The page is dead - close it and create a replacement
+        this.replaced++
+        const replacement = await this.replacePage(page)
+        replacement._uses++
+        return replacement
+    }
+
+    /**
+     * Liveness probe: the page must be open and able to run a script
+     */
+    async isAlive(page) {
+        if (page.isClosed()) return false
+
+        let timer
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error('Liveness probe timed out')), this.probeTimeout)
+        })
+        try {
+            await Promise.race([page.evaluate(() => true), timeout])
+            return true
+        } catch (_) {
+            return false
+        } finally {
+            clearTimeout(timer)
+        }
+    }
+
+    /**
+     * Whether a page has been used long enough to be replaced
+     * With isolated contexts every lease gets a fresh page
+     */
+    shouldRetire(page) {
+        return this.isolateContexts ||
+            page._uses >= this.maxUses ||
+            Date.now() - page._createdAt >= this.maxAge
+    }
+
+    /**
+     * Wait for a page to be released by another request
+     */
+    enqueue() {
+        const retryAfter = Math.ceil(this.waitTimeout / 1000)
+
+        if (this.waitQueue.length >= this.maxQueue) {
+            this.waitStats.queueFull++
+            log.warn('Queue full, rejecting request', { queued: this.waitQueue.length })
+            return Promise.reject(new PoolBusyError(`Page pool queue is full (${this.maxQueue} waiting)`, retryAfter))
+        }
+
+        return new Promise((resolve, reject) => {
+            const waiter = { resolve, reject, enqueuedAt: Date.now() }
+            waiter.timer = setTimeout(() => {
+                this.waitQueue.splice(this.waitQueue.indexOf(waiter), 1)
+                this.waitStats.timedOut++
+                log.warn('Gave up waiting for a page', { waitTimeoutMs: this.waitTimeout })
+                reject(new PoolBusyError(`No page available within ${this.waitTimeout}ms`, retryAfter))
+            }, this.waitTimeout)
+            this.waitQueue.push(waiter)
+            log.info('All pages busy, queued request', { maxPages: this.maxPages, queued: this.waitQueue.length })
+        })
+    }
+
+    /**
+     * Take the first queued request off the queue, or null if none is waiting
+     */
+    dequeue() {
+        const waiter = this.waitQueue.shift()
+        if (!waiter) return null
+
+        clearTimeout(waiter.timer)
+        const waitMs = Date.now() - waiter.enqueuedAt
+        this.waitStats.count++
+        this.waitStats.totalMs += waitMs
+        this.waitStats.maxMs = Math.max(this.waitStats.maxMs, waitMs)
+        log.debug('Handing page to queued request', { waitMs, queued: this.waitQueue.length })
+        return waiter
+    }
+
+    /**
+     * Give a slot freed by a failed page creation to the first queued request,
+     * with a new temporary page; if that fails too, the request fails and the next one is tried
+     */
+    async serveWaiter() {
+        const waiter = this.dequeue()
+        if (!waiter) return
+
+        try {
+            const page = await this.createBusyPage()
+            page._isTemporary = true
+            page._uses++
+            waiter.resolve(page)
+        } catch (e) {
+            log.error('Failed to create page for queued request', { error: e })
+            waiter.reject(e)
+            this.serveWaiter()
+        }
     }
 
     /**
      * Release a page back to the pool
+     * Worn-out pages are closed and replaced. If requests are waiting,
+     * the page is handed to the first one instead
      */
     async release(page) {
         if (!page) return
 
-        this.busyPages.delete(page)
+        if (this.shouldRetire(page)) {
+            this.recycled++
 
-        // If temporary page, close it
-        if (page._isTemporary) {
+            if (page._isTemporary && !this.waitQueue.length) {
+                this.busyPages.delete(page)
+                await this.closePage(page)
+                return
+            }
+
+            try {
+                page = await this.replacePage(page)
+            } catch (e) {
+                log.error('Failed to create replacement page', { error: e })
+                await this.serveWaiter()
+                return
+            }
+        }
+
+        const waiter = this.dequeue()
+        if (waiter) {
             try {
-                await page.close()
+                waiter.resolve(await this.preparePage(page))
             } catch (e) {
-                console.error('[PagePool] Error closing temporary page:', e)
+                waiter.reject(e)
+                await this.serveWaiter()
             }
             return
         }
 
+        this.busyPages.delete(page)
+
+        if (page._isTemporary) {
+            if (!this.missingPages) {
+                await this.closePage(page)
+                return
+            }
+            // Take the place of a pooled page that couldn't be created
+            this.missingPages--
+            page._isTemporary = false
+        }
+
         // Return to pool for reuse
         this.availablePages.push(page)
-        console.log(`[PagePool] Released page to pool (${this.busyPages.size} busy, ${this.availablePages.length} available)`)
+        log.debug('Released page to pool', { busy: this.busyPages.size, available: this.availablePages.length })
     }
 
     /**
      * Reset page state between requests
-     * SIMPLIFIED: Don't navigate to about:blank to avoid frame detach issues
-     * Each request will set its own state (user agent, interception, etc.)
+     * Don't navigate to about:blank to avoid frame detach issues. Each request
+     * sets its own user agent, but interception and viewport must be undone
+     * here, or a later request that doesn't set them inherits them.
+     * Cookies and storage are only isolated with isolateContexts.
+     * Throws if the page can't be reset.
      */
     async resetPage(page) {
-        try {
-            // Only clear event listeners - let each request set its own state
-            page.removeAllListeners()
-        } catch (e) {
-            console.error('[PagePool] Error resetting page:', e.message)
-            // If even this fails, the page is probably dead - create a new one
-            try {
-                await page.close()
-            } catch (_) {}
-
-            // Create replacement page
-            const newPage = await this.browser.newPage()
-            return newPage
-        }
-
-        return page
+        page.removeAllListeners()
+        await page.setRequestInterception(false)
+        await page.setViewport(DEFAULT_VIEWPORT)
     }
 
     /**
      * Close all pages in the pool
      */
     async destroy() {
-        console.log('[PagePool] Destroying pool...')
+        log.info('Destroying pool')
+
+        // Fail all queued requests, no page will be released to them
+        for (const waiter of this.waitQueue) {
+            clearTimeout(waiter.timer)
+            waiter.reject(new Error('Page pool destroyed'))
+        }
+        this.waitQueue = []
 
         // Close all available pages
         for (const page of this.availablePages) {
-            try {
-                await page.close()
-            } catch (e) {
-                console.error('[PagePool] Error closing available page:', e)
-            }
+            await this.closePage(page)
         }
 
         // Close all busy pages
         for (const page of this.busyPages) {
-            try {
-                await page.close()
-            } catch (e) {
-                console.error('[PagePool] Error closing busy page:', e)
-            }
+            await this.closePage(page)
         }
 
         this.availablePages = []
@@ -149,10 +442,30 @@ class PagePool {
      * Get pool statistics
      */
     getStats() {
+        let temporary = 0
+        for (const page of this.busyPages) {
+            if (page._isTemporary) temporary++
+        }
         return {
             total: this.poolSize,
+            maxPages: this.maxPages,
             available: this.availablePages.length,
             busy: this.busyPages.size,
+            creating: this.pendingCreates,
+            temporary,
+            recycled: this.recycled,
+            replaced: this.replaced,
+            missing: this.missingPages,
+            isolateContexts: this.isolateContexts,
+            queued: this.waitQueue.length,
+            maxQueue: this.maxQueue,
+            waits: {
+                count: this.waitStats.count,
+                avgMs: this.waitStats.count ? Math.round(this.waitStats.totalMs / this.waitStats.count) : 0,
+                maxMs: this.waitStats.maxMs,
+                queueFull: this.waitStats.queueFull,
+                timedOut: this.waitStats.timedOut
+            },
             initialized: this.initialized
         }
     }
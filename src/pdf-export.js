@@ -0,0 +1,286 @@
+/**
+ * PDF Export
+ *
+ * Prints reader text pages as tagged (accessible) PDFs for teaching use: one
+ * page, or a range of a title's pages given as `?sidor=5-12`.
+ *
+ * - Each page is loaded in the app and its `.etext` collected; the last page
+ *   loaded is then printed with all of them, so the app's own text styles apply
+ * - Print CSS hides the app's navigation and sidebars
+ * - A citation header gives author, title, year, pages and source URL
+ * - An export holds a browser page for at most PDF_DEADLINE, every load and
+ *   wait is cut short to fit within it
+ */
+
+import * as cheerio from 'cheerio'
+import logger from './logger'
+import { CHROME_UA, escapeHtml, isReaderPage, isFacsimilePage, parseReaderUrl, extractMetadataFromHtml } from './og-preview'
+
+const log = logger.child({ component: 'PdfExport' })
+
+// Most pages one PDF may hold
+export const PDF_MAX_PAGES = Number(process.env.PDF_MAX_PAGES || 30)
+
+// Longest one export may take, in ms
+export const PDF_DEADLINE = Number(process.env.PDF_DEADLINE || 120) * 1000
+
+// Navigation, sidebars and controls of the app, none of which belong on paper
+const HIDDEN_SELECTORS = [
+    '#leftCorridor',
+    '#rightCorridor',
+    '.mainnav',
+    '.logo_link_monogram',
+    '.pager_ctrls',
+    '.preloader',
+    'footer',
+    '.toolbar',
+    '#toolbar',
+    '.nav-controls',
+    '[role="navigation"]'
+]
+
+const PRINT_CSS = `
+${HIDDEN_SELECTORS.join(',\n')} {
+    display: none !important;
+}
+@page { size: A4; margin: 22mm 20mm; }
+body { background: #fff !important; margin: 0 !important; }
+#mainview, .etext { margin: 0 !important; padding: 0 !important; width: auto !important; max-width: none !important; float: none !important; }
+.pdf-citation { font-family: Georgia, serif; font-size: 10pt; color: #444; border-bottom: 1px solid #999; padding-bottom: 8pt; margin-bottom: 18pt; }
+.pdf-citation h1 { font-size: 15pt; margin: 0 0 4pt; color: #000; }
+.pdf-citation p { margin: 0; }
+.pdf-page { break-before: page; }
+.pdf-page:first-of-type { break-before: auto; }
+.pdf-page-label { font-family: Georgia, serif; font-size: 9pt; color: #777; margin: 0 0 8pt; }
+`
+
+/**
+ * Error for a PDF request that can't be served, with its status
+ */
+export class PdfRequestError extends Error {
+    constructor(message, status = 400) {
+        super(message)
+        this.name = 'PdfRequestError'
+        this.status = status
+    }
+}
+
+function deadlineError() {
+    return new PdfRequestError(`PDF export did not complete within ${PDF_DEADLINE / 1000}s, try fewer pages`, 503)
+}
+
+/**
+ * Timeout for the next step of an export: at most `max` ms, and no later than `deadline`
+ * Throws once the deadline has passed
+ */
+function stepTimeout(deadline, max) {
+    const left = deadline - Date.now()
+    if (left <= 0) {
+        throw deadlineError()
+    }
+    return Math.min(max, left)
+}
+
+/**
+ * Parse the page range of a PDF request for a reader text page
+ * `?sidor=5-12` prints pages 5 to 12 of the title; without it, the page in the path
+ * Returns { from, to }
+ */
+export function parsePageRange(query, urlPath) {
+    const reader = parseReaderUrl(urlPath)
+    if (!reader || !isReaderPage(urlPath) || isFacsimilePage(urlPath)) {
+        throw new PdfRequestError('PDF export is only available for reader text pages')
+    }
+
+    if (query.sidor === undefined) {
+        const page = Number(reader.pageNum)
+        return { from: page, to: page }
+    }
+
+    const match = typeof query.sidor === 'string' && query.sidor.match(/^(\d+)(?:-(\d+))?$/)
+    if (!match) {
+        throw new PdfRequestError('Invalid page range, expected e.g. sidor=5-12')
+    }
+    const from = Number(match[1])
+    const to = match[2] ? Number(match[2]) : from
+    if (to < from) {
+        throw new PdfRequestError('Invalid page range, the last page comes before the first')
+    }
+    if (to - from + 1 > PDF_MAX_PAGES) {
+        throw new PdfRequestError(`At most ${PDF_MAX_PAGES} pages can be exported at once`)
+    }
+    return { from, to }
+}
+
+/**
+ * URL of another page of the same title
+ */
+function pageUrl(url, pageNum) {
+    return url.replace(/\/sida\/\d+\//, `/sida/${pageNum}/`)
+}
+
+/**
+ * Citation header, e.g. "Karin Boye, Moln (1922), s. 5–12. Litteraturbanken, {url}"
+ */
+function citationHtml(metadata, { from, to }, url) {
+    const pages = from === to ? `s. ${from}` : `s. ${from}–${to}`
+    const title = [metadata.bookTitle || metadata.chapterTitle, metadata.year && `(${metadata.year})`].filter(Boolean).join(' ')
+    const source = [metadata.author, title, pages].filter(Boolean).join(', ')
+    const retrieved = new Date().toISOString().slice(0, 10)
+    return `<header class="pdf-citation">
+<h1>${escapeHtml(metadata.bookTitle || metadata.chapterTitle || metadata.pageTitle)}</h1>
+<p>${escapeHtml(source)}. Litteraturbanken, <a href="${escapeHtml(url)}">${escapeHtml(url)}</a> (hämtad ${retrieved}).</p>
+</header>`
+}
+
+/**
+ * Load a reader page and wait for its text
+ * Returns the page's HTML, or null if the app reports it missing
+ */
+async function loadReaderPage(page, url, deadline) {
+    await page.goto(url, { waitUntil: "networkidle2", timeout: stepTimeout(deadline, 30000) })
+    try {
+        await page.waitForFunction(() => !document.querySelector('.searching'), { timeout: stepTimeout(deadline, 20000) })
+        await page.waitForSelector('.etext, [littb-err]', { timeout: stepTimeout(deadline, 10000) })
+    } catch (e) {
+        if (e instanceof PdfRequestError) throw e
+        log.warn('Reader page never loaded', { url, error: e })
+        return null
+    }
+    if (await page.$('[littb-err]')) return null
+    return page.content()
+}
+
+/**
+ * Render the pages `range` of the title of reader page `url` as a PDF
+ * Throws a 404 PdfRequestError when none of the pages exist, a 503 one past PDF_DEADLINE
+ */
+async function renderPdf({ browser, pagePool, url, range }) {
+    const deadline = Date.now() + PDF_DEADLINE
+    let page = null
+    let fromPool = false
+
+    try {
+        if (pagePool) {
+            page = await pagePool.acquire()
+            fromPool = true
+        } else {
+            page = await browser.newPage()
+        }
+        await page.setUserAgent(CHROME_UA)
+
+        // Styles and fonts are printed, images and media aren't needed
+        await page.setRequestInterception(true)
+        page.on('request', (req) => {
+            if (['image', 'media', 'websocket'].includes(req.resourceType())) {
+                req.abort()
+            } else {
+                req.continue()
+            }
+        })
+
+        const texts = []
+        let metadata = null
+        let lastLoaded = null
+        for (let pageNum = range.from; pageNum <= range.to; pageNum++) {
+            const html = await loadReaderPage(page, pageUrl(url, pageNum), deadline)
+            if (!html) {
+                log.info('Skipping missing page', { url, pageNum })
+                continue
+            }
+            lastLoaded = pageNum
+            const $ = cheerio.load(html)
+            metadata = metadata || extractMetadataFromHtml($)
+            texts.push(`<section class="pdf-page"><p class="pdf-page-label">[s. ${pageNum}]</p>${$.html($('.etext').first())}</section>`)
+        }
+        if (!texts.length) {
+            throw new PdfRequestError('None of the requested pages exist', 404)
+        }
+
+        // The last page with text is printed with all collected texts in place of its own
+        if (lastLoaded !== range.to && !await loadReaderPage(page, pageUrl(url, lastLoaded), deadline)) {
+            throw new PdfRequestError(`Page ${lastLoaded} could not be loaded again for printing`, 502)
+        }
+        const citation = citationHtml(metadata, range, pageUrl(url, range.from))
+        await page.addStyleTag({ content: PRINT_CSS })
+        const replaced = await page.evaluate((citation, body, title) => {
+            document.documentElement.lang = 'sv'
+            document.title = title
+            const etext = document.querySelector('.etext')
+            if (!etext) return false
+            const container = document.createElement('div')
+            container.innerHTML = citation + body
+            etext.replaceWith(container)
+            return true
+        }, citation, texts.join('\n'), metadata.bookTitle || metadata.pageTitle || 'Litteraturbanken')
+        if (!replaced) {
+            throw new PdfRequestError('The page to print has no text', 502)
+        }
+
+        const pdf = await page.pdf({
+            timeout: stepTimeout(deadline, 30000),
+            format: 'A4',
+            printBackground: false,
+            preferCSSPageSize: true,
+            tagged: true,
+            outline: true,
+            displayHeaderFooter: true,
+            headerTemplate: '<span></span>',
+            footerTemplate: '<div style="font-size:8pt;width:100%;text-align:center;color:#777"><span class="pageNumber"></span> / <span class="totalPages"></span></div>'
+        })
+        return Buffer.from(pdf)
+    } catch (e) {
+        // A load or wait cut short by the deadline times out like any other
+        if (!(e instanceof PdfRequestError) && e.name === 'TimeoutError' && Date.now() >= deadline) {
+            throw deadlineError()
+        }
+        throw e
+    } finally {
+        if (page) {
+            if (fromPool && pagePool) {
+                await pagePool.release(page)
+            } else {
+                await page.close()
+            }
+        }
+    }
+}
+
+/**
+ * Generate the PDF of a page range, kept in the 'pdf' kind of `cache`
+ * `acquireBrowser` resolves to { browser, pagePool } and is only called on a cache miss
+ * Returns { pdf, createdAt }
+ */
+export async function generatePdf({ acquireBrowser, cache = null, url, range }) {
+    const cacheKey = `${url} ${range.from}-${range.to}`
+    const cached = cache && await cache.get('pdf', cacheKey)
+    if (cached) {
+        return { pdf: cached.value, createdAt: cached.createdAt }
+    }
+
+    const { browser, pagePool } = await acquireBrowser()
+    const pdf = await renderPdf({ browser, pagePool, url, range })
+    const createdAt = Date.now()
+    if (cache) {
+        await cache.set('pdf', cacheKey, pdf, { createdAt })
+    }
+    return { pdf, createdAt }
+}
+
+/**
+ * File name for a download, e.g. "BoyeK-Moln-s5-12.pdf"
+ */
+export function pdfFileName(urlPath, { from, to }) {
+    const { authorId, titleId } = parseReaderUrl(urlPath)
+    const pages = from === to ? `s${from}` : `s${from}-${to}`
+    return `${authorId}-${titleId}-${pages}.pdf`.replace(/[\\/"\x00-\x1f]/g, '_')
+}
+
+export default {
+    PDF_MAX_PAGES,
+    PDF_DEADLINE,
+    PdfRequestError,
+    parsePageRange,
+    generatePdf,
+    pdfFileName
+}
@@ -0,0 +1,93 @@
+/**
+ * Pre-warming CLI
+ *
+ * Requests every page of a sitemap or URL list from a running snapshot service,
+ * which renders and caches the snapshots and OG images:
+ *
+ *   yarn prewarm [source] [--service URL] [--concurrency N] [--rate N]
+ *                [--state FILE] [--report FILE] [--no-og-images]
+ *
+ * `source` is a sitemap URL or file, or a file with one URL per line, default
+ * the sitemap of SERVER_ROOT. Run it again after an interruption to resume.
+ * Exits with status 1 when pages failed.
+ */
+
+import { parseArgs } from 'util'
+import os from 'os'
+import nodePath from 'path'
+import Prewarm from './prewarm'
+import ogPreview from './og-preview'
+import logger from './logger'
+
+const SERVER_ROOT = process.env.SERVER_ROOT || 'https://litteraturbanken.se'
+
+// Requests wait longer than RENDER_DEADLINE, after which the service answers 503
+const REQUEST_TIMEOUT = 60 * 1000
+
+const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        service: { type: 'string', default: process.env.PREWARM_SERVICE || 'http://localhost:8282' },
+        concurrency: { type: 'string', default: '2' },
+        rate: { type: 'string', default: '1' },
+        state: { type: 'string', default: nodePath.join(os.tmpdir(), 'littb-prewarm-cli-state.jsonl') },
+        report: { type: 'string', default: 'prewarm-report.json' },
+        'no-og-images': { type: 'boolean', default: false }
+    }
+})
+
+const source = positionals[0] || SERVER_ROOT + '/sitemap.xml'
+const service = options.service.replace(/\/$/, '')
+
+/**
+ * Request a URL from the service; errors carry the status and the start of the body
+ */
+async function request(url) {
+    const response = await fetch(url, { redirect: 'manual', signal: AbortSignal.timeout(REQUEST_TIMEOUT) })
+    const body = await response.text()
+    if (response.status < 400) return { status: response.status }
+    return {
+        status: response.status,
+        errMsg: body.slice(0, 200),
+        retryAfter: Number(response.headers.get('Retry-After')) || null
+    }
+}
+
+async function renderPage(path) {
+    const result = await request(service + path)
+    if (result.status >= 300 || options['no-og-images'] || !ogPreview.getPageType(path)) {
+        return result
+    }
+
+    for (const size of ogPreview.META_IMAGE_SIZES) {
+        const image = await request(ogPreview.ogImageVariantUrl(service + '/og-image' + path, size))
+        if (image.status >= 400) {
+            return { ...image, errMsg: `OG image (${size}): ${image.errMsg}` }
+        }
+    }
+    return result
+}
+
+const prewarm = new Prewarm({
+    renderPage,
+    concurrency: Number(options.concurrency),
+    rate: Number(options.rate),
+    statePath: options.state,
+    reportPath: options.report
+})
+
+// Ctrl-C finishes the pages in progress and keeps the state for resuming
+process.once('SIGINT', () => {
+    logger.info('Stopping after the pages in progress, run again to resume')
+    prewarm.stop()
+})
+
+prewarm.run(source)
+    .then(report => {
+        logger.info('Report written', { report: options.report, rendered: report.rendered, failed: report.failed })
+        process.exitCode = report.failed || report.interrupted ? 1 : 0
+    })
+    .catch(e => {
+        logger.error('Pre-warming failed', { source, error: e })
+        process.exitCode = 1
+    })
@@ -0,0 +1,245 @@
+/**
+ * Cache Pre-warming
+ *
+ * Renders the pages of the site's sitemap(s) or of a URL list ahead of crawler
+ * traffic, so e.g. new titles are cached before they are announced.
+ *
+ * - Pages are rendered `concurrency` at a time, starting at most `rate` per second
+ * - Every finished page is appended to a state file. A run interrupted and
+ *   started again on the same source skips the pages that already succeeded
+ * - The report lists failed pages with their error code (the `littb-err` code
+ *   from getErrors, a validation status, or the HTTP status) and counts per code
+ *
+ * How a page is rendered is up to the caller: the CLI requests it from a running
+ * service, the background job renders it in-process.
+ */
+
+import fs from 'fs/promises'
+import zlib from 'zlib'
+import * as cheerio from 'cheerio'
+import logger from './logger'
+
+const log = logger.child({ component: 'Prewarm' })
+
+// Attempts per page while the renderer answers with a Retry-After
+const MAX_ATTEMPTS = 3
+
+async function readSource(source) {
+    if (/^https?:\/\//.test(source)) {
+        const response = await fetch(source, { signal: AbortSignal.timeout(30000) })
+        if (!response.ok) {
+            throw new Error(`Fetching ${source} failed with status ${response.status}`)
+        }
+        return Buffer.from(await response.arrayBuffer())
+    }
+    return fs.readFile(source)
+}
+
+/**
+ * Load the page URLs listed by `source`, a URL or file path of a sitemap, a
+ * sitemap index (whose sitemaps are followed) or a URL list
+ * Sitemaps may be gzipped. URL lists have one URL or path per line; lines
+ * starting with '#' are comments
+ */
+export async function loadUrls(source, seen = new Set()) {
+    // Sitemap indexes referring to each other would otherwise never end
+    if (seen.has(source)) return []
+    seen.add(source)
+
+    let data = await readSource(source)
+    if (data[0] === 0x1f && data[1] === 0x8b) {
+        data = zlib.gunzipSync(data)
+    }
+    const text = data.toString('utf8')
+
+    if (!text.trimStart().startsWith('<')) {
+        return text.split('\n')
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'))
+    }
+
+    const $ = cheerio.load(text, { xml: true })
+    const urls = []
+    for (const loc of $('sitemap > loc').toArray()) {
+        urls.push(...await loadUrls($(loc).text().trim(), seen))
+    }
+    for (const loc of $('url > loc').toArray()) {
+        urls.push($(loc).text().trim())
+    }
+    return urls
+}
+
+/**
+ * Path (with query) of a listed URL; URL lists may also give bare paths
+ */
+export function toPath(pageUrl) {
+    if (pageUrl.startsWith('/')) return pageUrl
+    const { pathname, search } = new URL(pageUrl)
+    return pathname + search
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms))
+}
+
+class Prewarm {
+    /**
+     * `renderPage(path)` renders one page and resolves with { status, errMsg, retryAfter };
+     * statuses from 400 up count as failures. `rate` is in pages per second, 0 for no limit.
+     * Without `statePath` an interrupted run can't be resumed; without `reportPath`
+     * the report is only returned
+     */
+    constructor({ renderPage, concurrency = 2, rate = 1, statePath = null, reportPath = null }) {
+        this.renderPage = renderPage
+        this.concurrency = Math.max(1, concurrency)
+        this.rate = rate
+        this.statePath = statePath
+        this.reportPath = reportPath
+
+        this.stopped = false
+        this.nextStart = 0
+        this.progress = null
+    }
+
+    /**
+     * Paths that succeeded in an interrupted earlier run of `source`
+     */
+    async readState(source) {
+        if (!this.statePath) return new Set()
+
+        let text
+        try {
+            text = await fs.readFile(this.statePath, 'utf8')
+        } catch (e) {
+            if (e.code === 'ENOENT') return new Set()
+            throw e
+        }
+
+        const [header, ...lines] = text.split('\n').filter(Boolean)
+        let state = null
+        try {
+            state = JSON.parse(header)
+        } catch (_) {}
+        if (state?.source !== source) {
+            log.info('Ignoring state of a run on another source', { statePath: this.statePath })
+            return new Set()
+        }
+
+        const done = new Set()
+        for (const line of lines) {
+            try {
+                const record = JSON.parse(line)
+                if (record.status < 400) done.add(record.path)
+            } catch (_) {
+                // Last line cut off by the interruption
+            }
+        }
+        return done
+    }
+
+    async writeState(record) {
+        if (!this.statePath) return
+        await fs.appendFile(this.statePath, JSON.stringify(record) + '\n')
+    }
+
+    /**
+     * Wait for the next start allowed by the rate limit
+     */
+    async throttle() {
+        if (!this.rate) return
+        const now = Date.now()
+        const wait = this.nextStart - now
+        this.nextStart = Math.max(now, this.nextStart) + 1000 / this.rate
+        if (wait > 0) await sleep(wait)
+    }
+
+    async renderWithRetries(path) {
+        let result
+        for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+            await this.throttle()
+            try {
+                result = await this.renderPage(path)
+            } catch (e) {
+                result = { status: 500, errMsg: e.message }
+            }
+            if (!result.retryAfter || attempt === MAX_ATTEMPTS || this.stopped) break
+            log.debug('Renderer busy, retrying', { path, retryAfter: result.retryAfter })
+            await sleep(result.retryAfter * 1000)
+        }
+        return result
+    }
+
+    /**
+     * Render every page of `source` and resolve with the report
+     */
+    async run(source) {
+        const startedAt = new Date().toISOString()
+        const paths = [...new Set((await loadUrls(source)).map(toPath))]
+        const done = await this.readState(source)
+        const pending = paths.filter(path => !done.has(path))
+
+        if (!done.size && this.statePath) {
+            await fs.writeFile(this.statePath, JSON.stringify({ source, startedAt }) + '\n')
+        }
+        log.info('Pre-warming started', { source, pages: paths.length, resumed: done.size })
+
+        const failures = []
+        this.progress = { source, startedAt, total: paths.length, resumed: done.size, rendered: 0, failed: 0 }
+
+        const worker = async () => {
+            while (pending.length && !this.stopped) {
+                const path = pending.shift()
+                const { status, errMsg = null } = await this.renderWithRetries(path)
+                await this.writeState({ path, status })
+                if (status >= 400) {
+                    this.progress.failed++
+                    failures.push({ path, status, errMsg })
+                    log.warn('Pre-warming page failed', { path, status, errMsg })
+                } else {
+                    this.progress.rendered++
+                }
+            }
+        }
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, pending.length) }, worker))
+
+        const errors = {}
+        for (const { status } of failures) {
+            errors[status] = (errors[status] || 0) + 1
+        }
+        const report = {
+            ...this.progress,
+            finishedAt: new Date().toISOString(),
+            interrupted: this.stopped,
+            errors,
+            failures
+        }
+
+        if (this.reportPath) {
+            await fs.writeFile(this.reportPath, JSON.stringify(report, null, 2))
+        }
+        // A complete run starts over next time
+        if (!this.stopped && this.statePath) {
+            await fs.rm(this.statePath, { force: true })
+        }
+        log.info('Pre-warming finished', {
+            source, rendered: report.rendered, failed: report.failed, interrupted: report.interrupted, errors
+        })
+        return report
+    }
+
+    /**
+     * Stop after the pages being rendered; the state file is kept so the run can be resumed
+     */
+    stop() {
+        this.stopped = true
+    }
+
+    /**
+     * Get progress of the current run, or null before it has loaded its pages
+     */
+    getStatus() {
+        return this.progress ? { ...this.progress, stopping: this.stopped } : null
+    }
+}
+
+export default Prewarm
@@ -0,0 +1,121 @@
+/**
+ * Cache Purge
+ *
+ * Removes cached snapshots, OG images, OG metadata and PDFs for pages whose
+ * content changed. Pages are selected by one of:
+ * - path: a single page
+ * - prefix: every page whose path starts with the prefix
+ * - authorId, optionally with titleId: the author's (or the title's) page and
+ *   every page below it, such as reader pages, facsimiles and bibliographies
+ *
+ * Only the cache of this instance is purged; with the file or memory backend,
+ * other instances keep their entries until they expire.
+ */
+
+import SnapshotCache from './snapshot-cache'
+
+const KINDS = ['snapshot', 'og-image', 'og-meta', 'og-selection-miss', 'pdf']
+
+/**
+ * Error for a purge request that selects no pages, answered with 400
+ */
+export class PurgeRequestError extends Error {
+    constructor(message) {
+        super(message)
+        this.name = 'PurgeRequestError'
+    }
+}
+
+/**
+ * Page path of a cache key
+ * Snapshots are keyed by normalized path, OG entries and PDFs by page URL, followed by
+ * a line selection (?...) and, for images, the size and format, for PDFs the page range
+ */
+function keyPath(kind, key, serverRoot) {
+    if (kind === 'snapshot') return key
+    const url = key.split(/[? ]/)[0]
+    return SnapshotCache.normalizePath(url.slice(serverRoot.length) || '/')
+}
+
+/**
+ * Paths of the pages a PDF holds; it is keyed by the first page of its range
+ */
+function pdfPagePaths(key, serverRoot) {
+    const path = keyPath('pdf', key, serverRoot)
+    const [from, to] = key.slice(key.lastIndexOf(' ') + 1).split('-').map(Number)
+    const paths = []
+    for (let page = from; page <= to; page++) {
+        paths.push(path.replace(/\/sida\/\d+\//, `/sida/${page}/`))
+    }
+    return paths
+}
+
+/**
+ * Whether `path` is the page `base` or below it; '/författare/Boye' doesn't cover '/författare/BoyeK'
+ */
+function isUnder(path, base) {
+    return path === base || path.startsWith(base + '/')
+}
+
+/**
+ * Build the page selector for a purge request
+ * Returns { prefix, matches(path) }; `prefix` narrows the keys listed from the cache
+ */
+export function pageSelector({ path, prefix, authorId, titleId }) {
+    if (path) {
+        const normalized = SnapshotCache.normalizePath(path)
+        return { prefix: normalized, matches: p => p === normalized }
+    }
+    if (prefix) {
+        // The prefix is matched as given, so '/författare/Boye' also covers '/författare/BoyeK'
+        const normalized = SnapshotCache.normalizePath(prefix) + (prefix.endsWith('/') && prefix !== '/' ? '/' : '')
+        return { prefix: normalized, matches: p => p.startsWith(normalized) }
+    }
+    if (authorId) {
+        const base = titleId ? `/författare/${authorId}/titlar/${titleId}` : `/författare/${authorId}`
+        return { prefix: base, matches: p => isUnder(p, base) }
+    }
+    throw new PurgeRequestError('Give a path, a prefix or an authorId to purge')
+}
+
+/**
+ * Remove the cache entries of the selected pages
+ * Returns the removed keys per kind, e.g. { snapshot: ['/författare/X'], 'og-image': [...], 'og-meta': [], pdf: [] }
+ */
+export async function purge(cache, selector, serverRoot) {
+    const purged = {}
+    for (const kind of KINDS) {
+        let listPrefix = kind === 'snapshot' ? selector.prefix : serverRoot + selector.prefix
+        if (kind === 'pdf') {
+            // A PDF starting on an earlier page of the title may cover the selected page
+            listPrefix = listPrefix.replace(/\/sida\/[^/]*(\/.*)?$/, '/sida/')
+        }
+        const keys = (await cache.keys(kind, listPrefix))
+            .filter(key => kind === 'pdf'
+                ? pdfPagePaths(key, serverRoot).some(selector.matches)
+                : selector.matches(keyPath(kind, key, serverRoot)))
+        for (const key of keys) {
+            await cache.delete(kind, key)
+        }
+        purged[kind] = keys
+    }
+    return purged
+}
+
+/**
+ * Split a purged OG image key back into what generated it
+ * Returns { url, query, size, format }
+ */
+export function parseImageKey(key) {
+    const [target, variant] = key.split(' ')
+    const [url, query = ''] = target.split('?')
+    const [size, format] = variant.split('.')
+    return { url, query, size, format }
+}
+
+export default {
+    PurgeRequestError,
+    pageSelector,
+    purge,
+    parseImageKey
+}
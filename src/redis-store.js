@@ -0,0 +1,138 @@
+/**
+ * Redis Cache Store
+ *
+ * Keeps cache entries in Redis (or anything speaking its protocol, e.g. Valkey,
+ * KeyDB or Dragonfly), so all instances share one cache that outlives deploys.
+ *
+ * - Each entry is one string value: its metadata as a JSON line, followed by the data
+ * - Expiry uses Redis TTLs; size limits and LRU eviction are left to the server,
+ *   configure it with `maxmemory` and `maxmemory-policy allkeys-lru`
+ *
+ * The connection is managed by ioredis, which reconnects in the background.
+ */
+
+import Redis from 'ioredis'
+import logger from './logger'
+
+const log = logger.child({ component: 'RedisStore' })
+
+/**
+ * While Redis can't be reached, reads miss and writes are dropped without
+ * waiting on a connection attempt
+ */
+class RedisStore {
+    constructor({ url = 'redis://127.0.0.1:6379', prefix = 'littb-snapshot:', timeout = 2000, retryDelay = 5000 }) {
+        this.client = new Redis(url, {
+            lazyConnect: true,
+            // Commands fail at once instead of queueing while disconnected
+            enableOfflineQueue: false,
+            maxRetriesPerRequest: 0,
+            connectTimeout: timeout,
+            commandTimeout: timeout,
+            retryStrategy: times => Math.min(times * 500, retryDelay)
+        })
+        this.prefix = prefix
+        this.wasReady = false
+
+        // Reconnection attempts report every failure, only the lost connection is worth a warning
+        this.client.on('error', error => log.debug('Redis error', { error }))
+        this.client.on('ready', () => {
+            this.wasReady = true
+        })
+        this.client.on('close', () => {
+            if (this.wasReady) log.warn('Redis connection lost')
+            this.wasReady = false
+        })
+    }
+
+    get connected() {
+        return this.client.status === 'ready'
+    }
+
+    /**
+     * Connect up front; if Redis is down the cache misses until it is back
+     */
+    async init() {
+        const { host, port, db } = this.client.options
+        try {
+            await this.client.connect()
+            log.info('Connected', { host, port, db })
+        } catch (e) {
+            log.warn('Redis unavailable, retrying in the background', { host, port, error: e })
+        }
+    }
+
+    /**
+     * Return { value, meta } for a key, or null if missing or expired
+     */
+    async get(key) {
+        if (!this.connected) return null
+
+        const reply = await this.client.getBuffer(this.prefix + key)
+        if (!reply) return null
+
+        const newline = reply.indexOf(0x0a)
+        return {
+            meta: JSON.parse(reply.toString('utf8', 0, newline)),
+            value: reply.subarray(newline + 1)
+        }
+    }
+
+    /**
+     * Store a value (Buffer) with its metadata, which must include `expiresAt`
+     */
+    async set(key, value, meta) {
+        const ttl = meta.expiresAt - Date.now()
+        if (ttl <= 0 || !this.connected) return
+
+        // JSON.stringify escapes newlines, so the first newline ends the metadata
+        const payload = Buffer.concat([Buffer.from(JSON.stringify(meta) + '\n'), value])
+        await this.client.set(this.prefix + key, payload, 'PX', Math.ceil(ttl))
+    }
+
+    async delete(key) {
+        if (!this.connected) return
+        await this.client.del(this.prefix + key)
+    }
+
+    /**
+     * List stored keys starting with `prefix`, with SCAN so Redis isn't blocked
+     */
+    async keys(prefix) {
+        const pattern = (this.prefix + prefix).replace(/[*?[\]\\]/g, '\\$&') + '*'
+        const keys = []
+        let cursor = '0'
+        do {
+            const [next, batch] = await this.client.scan(cursor, 'MATCH', pattern, 'COUNT', 500)
+            cursor = next
+            for (const key of batch) {
+                keys.push(key.slice(this.prefix.length))
+            }
+        } while (cursor !== '0')
+        return [...new Set(keys)]
+    }
+
+    async close() {
+        this.wasReady = false
+        if (this.connected) {
+            await this.client.quit()
+        } else {
+            this.client.disconnect()
+        }
+    }
+
+    /**
+     * Get store statistics. Sizes are tracked by Redis itself (INFO memory)
+     */
+    getStats() {
+        return {
+            backend: 'redis',
+            connected: this.connected,
+            entries: null,
+            bytes: null,
+            maxBytes: null
+        }
+    }
+}
+
+export default RedisStore
@@ -0,0 +1,67 @@
+/**
+ * Single-flight Render Registry
+ *
+ * Coalesces concurrent identical renders: a caller asking for a render that
+ * is already in progress (same kind and target URL) gets the promise of the
+ * running render instead of starting its own page load.
+ */
+
+import logger from './logger'
+
+const log = logger.child({ component: 'SingleFlight' })
+
+class SingleFlight {
+    constructor() {
+        // `${kind} ${key}` -> promise of the running render
+        this.inFlight = new Map()
+        // kind -> { started, coalesced }
+        this.counters = new Map()
+    }
+
+    /**
+     * Run `fn` unless an identical render is already in flight, in which case
+     * its promise is shared
+     */
+    run(kind, key, fn) {
+        const id = `${kind} ${key}`
+        const counters = this.countersFor(kind)
+
+        const running = this.inFlight.get(id)
+        if (running) {
+            counters.coalesced++
+            log.debug('Joining in-flight render', { kind, key })
+            return running
+        }
+
+        counters.started++
+        const promise = Promise.resolve()
+            .then(fn)
+            .finally(() => this.inFlight.delete(id))
+        this.inFlight.set(id, promise)
+        return promise
+    }
+
+    countersFor(kind) {
+        if (!this.counters.has(kind)) {
+            this.counters.set(kind, { started: 0, coalesced: 0 })
+        }
+        return this.counters.get(kind)
+    }
+
+    /**
+     * Get render statistics per kind
+     */
+    getStats() {
+        const stats = {}
+        for (const [kind, { started, coalesced }] of this.counters) {
+            stats[kind] = { started, coalesced, inFlight: 0 }
+        }
+        for (const id of this.inFlight.keys()) {
+            const kind = id.slice(0, id.indexOf(' '))
+            stats[kind].inFlight++
+        }
+        return stats
+    }
+}
+
+export default SingleFlight
@@ -0,0 +1,67 @@
+/**
+ * Sitemap XML
+ *
+ * Builds sitemaps (https://www.sitemaps.org/protocol.html) from the link graph's
+ * rendered pages. Past SITEMAP_MAX_URLS pages, /sitemap.xml becomes a sitemap
+ * index of /sitemap-1.xml, /sitemap-2.xml, ...
+ */
+
+export const SITEMAP_MAX_URLS = 50000
+
+function escapeXml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;')
+}
+
+function lastmodOf(entries) {
+    return entries.reduce((latest, entry) => Math.max(latest, entry.lastmod), 0)
+}
+
+/**
+ * Split entries into the sitemaps of an index, or null if one sitemap holds them all
+ */
+export function sitemapChunks(entries) {
+    if (entries.length <= SITEMAP_MAX_URLS) return null
+    const chunks = []
+    for (let i = 0; i < entries.length; i += SITEMAP_MAX_URLS) {
+        chunks.push(entries.slice(i, i + SITEMAP_MAX_URLS))
+    }
+    return chunks
+}
+
+/**
+ * <urlset> of entries [{ path, lastmod }], with URLs on `serverRoot`
+ */
+export function renderUrlset(entries, serverRoot) {
+    const urls = entries.map(({ path, lastmod }) =>
+        `<url><loc>${escapeXml(serverRoot + encodeURI(path))}</loc><lastmod>${new Date(lastmod).toISOString()}</lastmod></url>`)
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join('\n')}
+</urlset>
+`
+}
+
+/**
+ * <sitemapindex> of the chunks from sitemapChunks, each dated by its latest page
+ */
+export function renderSitemapIndex(chunks, serverRoot) {
+    const sitemaps = chunks.map((chunk, i) =>
+        `<sitemap><loc>${escapeXml(`${serverRoot}/sitemap-${i + 1}.xml`)}</loc><lastmod>${new Date(lastmodOf(chunk)).toISOString()}</lastmod></sitemap>`)
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${sitemaps.join('\n')}
+</sitemapindex>
+`
+}
+
+export default {
+    SITEMAP_MAX_URLS,
+    sitemapChunks,
+    renderUrlset,
+    renderSitemapIndex
+}
@@ -0,0 +1,171 @@
+/**
+ * Snapshot Slimming
+ *
+ * Post-processing steps that shrink snapshot HTML before it is cached and
+ * served. Crawlers only need the rendered markup, not what the app used to
+ * produce it. Steps, chosen with SNAPSHOT_SLIM_STEPS and run in this order:
+ * - external-scripts: remove `<script src>`, so the app doesn't boot over the snapshot
+ * - inline-scripts: remove inline JavaScript; JSON-LD and other data blocks are kept
+ * - angular: remove Angular binding attributes (ng-*, data-ng-*) and bookkeeping classes
+ * - comments: remove HTML comments, e.g. Angular's `<!-- ngIf: ... -->` markers
+ * - dedupe-css: drop `<style>` blocks and stylesheet links repeating an earlier one
+ * - remove-css: drop all inlined `<style>` blocks (stylesheet links are kept)
+ * - absolute-urls: make relative URLs absolute against the page URL on SERVER_ROOT
+ */
+
+import * as cheerio from 'cheerio'
+
+// Script types that run; anything else (application/ld+json, text/template, ...) is data
+const JS_TYPES = ['', 'text/javascript', 'application/javascript', 'module']
+
+// Classes Angular adds for its own bookkeeping. ng-hide is left alone, it hides content
+const ANGULAR_CLASSES = [
+    'ng-scope', 'ng-isolate-scope', 'ng-binding', 'ng-pristine', 'ng-dirty', 'ng-valid',
+    'ng-invalid', 'ng-touched', 'ng-untouched', 'ng-empty', 'ng-not-empty'
+]
+
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'poster', 'cite']
+
+// URLs that stay as they are
+const KEEP_URL = /^(#|[a-z][a-z0-9+.-]*:|\/\/)/i
+
+function absolutize(value, base) {
+    const trimmed = value.trim()
+    if (!trimmed || KEEP_URL.test(trimmed)) return value
+    try {
+        return new URL(trimmed, base).href
+    } catch (_) {
+        return value
+    }
+}
+
+function absolutizeCss(css, base) {
+    return css.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g,
+        (match, quote, value) => `url(${quote}${absolutize(value, base)}${quote})`)
+}
+
+export const STEPS = {
+    'external-scripts': $ => {
+        $('script[src]').remove()
+    },
+
+    'inline-scripts': $ => {
+        $('script:not([src])')
+            .filter((_, el) => JS_TYPES.includes(($(el).attr('type') || '').trim().toLowerCase()))
+            .remove()
+    },
+
+    'angular': $ => {
+        $('*').each((_, el) => {
+            for (const name of Object.keys(el.attribs)) {
+                if (/^(data-|x-)?ng[-:_]/i.test(name)) {
+                    $(el).removeAttr(name)
+                }
+            }
+        })
+        const selector = ANGULAR_CLASSES.map(name => '.' + name).join(', ')
+        $(selector).each((_, el) => {
+            const node = $(el)
+            node.removeClass(ANGULAR_CLASSES.join(' '))
+            if (!node.attr('class')) node.removeAttr('class')
+        })
+    },
+
+    'comments': $ => {
+        $.root().find('*').addBack().contents().filter((_, node) => node.type === 'comment').remove()
+    },
+
+    'dedupe-css': $ => {
+        const seen = new Set()
+        $('style').each((_, el) => {
+            const css = $(el).text().trim()
+            if (seen.has(css)) {
+                $(el).remove()
+            } else {
+                seen.add(css)
+            }
+        })
+        const hrefs = new Set()
+        $('link[rel="stylesheet"][href]').each((_, el) => {
+            const href = $(el).attr('href')
+            if (hrefs.has(href)) {
+                $(el).remove()
+            } else {
+                hrefs.add(href)
+            }
+        })
+    },
+
+    'remove-css': $ => {
+        $('style').remove()
+    },
+
+    'absolute-urls': ($, { url }) => {
+        // The app sets <base href="/">, relative URLs resolve against it
+        const base = new URL($('base[href]').attr('href') || url, url).href
+        for (const attr of URL_ATTRIBUTES) {
+            $(`[${attr}]`).each((_, el) => {
+                $(el).attr(attr, absolutize($(el).attr(attr), base))
+            })
+        }
+        $('[srcset]').each((_, el) => {
+            const srcset = $(el).attr('srcset').split(',').map(candidate => {
+                const [src, ...descriptors] = candidate.trim().split(/\s+/)
+                return [absolutize(src, base), ...descriptors].join(' ')
+            })
+            $(el).attr('srcset', srcset.join(', '))
+        })
+        $('style').each((_, el) => {
+            $(el).text(absolutizeCss($(el).text(), base))
+        })
+        $('[style]').each((_, el) => {
+            $(el).attr('style', absolutizeCss($(el).attr('style'), base))
+        })
+    }
+}
+
+export const DEFAULT_STEPS = ['external-scripts', 'inline-scripts', 'angular', 'comments', 'dedupe-css', 'absolute-urls']
+
+/**
+ * Parse a comma-separated list of steps; "none" runs none
+ * Steps always run in the order of STEPS. Throws on unknown steps
+ */
+export function parseSteps(spec) {
+    if (!spec) return DEFAULT_STEPS
+    if (spec.trim() === 'none') return []
+    const names = spec.split(',').map(name => name.trim()).filter(Boolean)
+    const unknown = names.filter(name => !STEPS[name])
+    if (unknown.length) {
+        throw new Error(`Unknown snapshot slimming steps: ${unknown.join(', ')}. Expected: ${Object.keys(STEPS).join(', ')}`)
+    }
+    return Object.keys(STEPS).filter(name => names.includes(name))
+}
+
+/**
+ * Run `steps` on the snapshot HTML of the page at `url`
+ * Returns { html, bytes, saved }, `saved` being the bytes each step removed
+ */
+export function slimHtml(html, { url, steps = DEFAULT_STEPS }) {
+    const $ = cheerio.load(html)
+    const before = Buffer.byteLength(html)
+    const saved = {}
+
+    // Measured from the parsed document, so a step isn't credited with cheerio's own reformatting
+    let size = steps.length ? Buffer.byteLength($.html()) : before
+    let result = html
+    for (const name of steps) {
+        STEPS[name]($, { url })
+        result = $.html()
+        const next = Buffer.byteLength(result)
+        saved[name] = size - next
+        size = next
+    }
+    return { html: result, bytes: { before, after: size }, saved }
+}
+
+export default {
+    STEPS,
+    DEFAULT_STEPS,
+    parseSteps,
+    slimHtml
+}
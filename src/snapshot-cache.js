@@ -0,0 +1,77 @@
+/**
+ * Snapshot Cache
+ *
+ * Keeps rendered snapshot HTML in the shared cache, keyed by normalized path, so
+ * repeated crawler requests for the same page are served without a
+ * Puppeteer render.
+ *
+ * - Entries are fresh for `ttl` ms, then kept as stale copies for another `maxStale` ms
+ * - The 'snapshot' kind of the shared cache must have a TTL of ttl + maxStale
+ */
+
+class SnapshotCache {
+    constructor({ cache, ttl = 24 * 60 * 60 * 1000, maxStale = 7 * 24 * 60 * 60 * 1000 }) {
+        this.cache = cache
+        this.ttl = ttl
+        this.maxStale = maxStale
+        this.hits = 0
+        this.staleHits = 0
+        this.misses = 0
+    }
+
+    /**
+     * Normalize a request path so equivalent URLs share one cache entry
+     */
+    static normalizePath(urlPath) {
+        let normalized = new URL(urlPath, 'http://localhost').pathname
+        try {
+            normalized = decodeURIComponent(normalized)
+        } catch (_) {}
+        normalized = normalized.replace(/\/{2,}/g, '/')
+        if (normalized.length > 1 && normalized.endsWith('/')) {
+            normalized = normalized.slice(0, -1)
+        }
+        return normalized
+    }
+
+    /**
+     * Return the cached snapshot for a path, or null if missing or too old to serve
+     * Entries past their ttl are returned with `stale: true`
+     */
+    async get(urlPath) {
+        const entry = await this.cache.get('snapshot', SnapshotCache.normalizePath(urlPath))
+        if (!entry) {
+            this.misses++
+            return null
+        }
+
+        const stale = Date.now() - entry.createdAt >= this.ttl
+        if (stale) {
+            this.staleHits++
+        } else {
+            this.hits++
+        }
+
+        return { html: entry.value, createdAt: entry.createdAt, stale }
+    }
+
+    /**
+     * Store a rendered snapshot, created at `createdAt` (ms)
+     */
+    async set(urlPath, html, createdAt = Date.now()) {
+        await this.cache.set('snapshot', SnapshotCache.normalizePath(urlPath), html, { createdAt })
+    }
+
+    /**
+     * Get cache statistics
+     */
+    getStats() {
+        return {
+            hits: this.hits,
+            staleHits: this.staleHits,
+            misses: this.misses
+        }
+    }
+}
+
+export default SnapshotCache
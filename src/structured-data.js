@@ -0,0 +1,123 @@
+/**
+ * schema.org Structured Data
+ *
+ * Builds JSON-LD for reader and author pages from the metadata already
+ * present in the rendered snapshot, so search engines can show rich results:
+ * - Reader pages: a CreativeWork (the page or poem) that is part of a Book
+ * - Author pages: a Person
+ * - Both: a BreadcrumbList for the authors → author → title → page hierarchy
+ */
+
+import { parseReaderUrl, parseAuthorUrl, extractMetadataFromHtml } from './og-preview'
+
+const SITE_NAME = 'Litteraturbanken'
+
+function decodePath(urlPath) {
+    try {
+        return decodeURIComponent(urlPath)
+    } catch (_) {
+        return urlPath
+    }
+}
+
+function absoluteUrl(serverRoot, path) {
+    return serverRoot + encodeURI(path)
+}
+
+function breadcrumbList(items) {
+    return {
+        '@type': 'BreadcrumbList',
+        itemListElement: items.map((item, i) => ({
+            '@type': 'ListItem',
+            position: i + 1,
+            name: item.name,
+            item: item.url
+        }))
+    }
+}
+
+/**
+ * Build the JSON-LD graph for a page, or null for pages without structured data
+ */
+export function generateJsonLd($, url, serverRoot) {
+    const path = decodePath(new URL(url).pathname)
+    const publisher = { '@type': 'Organization', name: SITE_NAME, url: serverRoot }
+
+    const reader = parseReaderUrl(path)
+    if (reader) {
+        const { author, bookTitle, year, chapterTitle } = extractMetadataFromHtml($)
+        const authorPath = `/författare/${reader.authorId}`
+        const titlePath = `${authorPath}/titlar/${reader.titleId}`
+        const person = author ? { '@type': 'Person', name: author, url: absoluteUrl(serverRoot, authorPath) } : undefined
+
+        const book = {
+            '@type': 'Book',
+            name: bookTitle || undefined,
+            url: absoluteUrl(serverRoot, titlePath),
+            author: person,
+            datePublished: year || undefined
+        }
+        const work = {
+            '@type': 'CreativeWork',
+            name: chapterTitle || bookTitle || undefined,
+            url,
+            author: person,
+            datePublished: year || undefined,
+            inLanguage: 'sv',
+            pagination: reader.pageNum,
+            isPartOf: book,
+            publisher
+        }
+        const crumbs = breadcrumbList([
+            { name: 'Författare', url: absoluteUrl(serverRoot, '/författare') },
+            { name: author || reader.authorId, url: absoluteUrl(serverRoot, authorPath) },
+            { name: bookTitle || reader.titleId, url: absoluteUrl(serverRoot, titlePath) },
+            { name: `Sida ${reader.pageNum}`, url }
+        ])
+        return { '@context': 'https://schema.org', '@graph': [work, crumbs] }
+    }
+
+    const authorPage = parseAuthorUrl(path)
+    if (authorPage) {
+        const metadata = extractMetadataFromHtml($, 'author', url)
+        const name = metadata.name || authorPage.authorId
+        const [birthDate, deathDate] = (metadata.lifeDates || '').split('–')
+        const person = {
+            '@type': 'Person',
+            name,
+            url,
+            birthDate: birthDate || undefined,
+            deathDate: deathDate || undefined,
+            image: metadata.portraitUrl || undefined,
+            mainEntityOfPage: url
+        }
+        const crumbs = breadcrumbList([
+            { name: 'Författare', url: absoluteUrl(serverRoot, '/författare') },
+            { name, url }
+        ])
+        return { '@context': 'https://schema.org', '@graph': [person, crumbs] }
+    }
+
+    return null
+}
+
+/**
+ * Inject JSON-LD into the snapshot <head>
+ * Appended rather than prepended: unlike unfurlers, search engines read the whole document,
+ * and the OG tags need to stay at the start of <head>
+ */
+export function injectJsonLd($, url, serverRoot) {
+    const jsonLd = generateJsonLd($, url, serverRoot)
+    if (!jsonLd) return $
+
+    // Keep "</script>" inside strings from closing the tag
+    const json = JSON.stringify(jsonLd).replace(/</g, '\\u003c')
+    $('head').append(`\n<script type="application/ld+json">${json}</script>\n`)
+
+    return $
+}
+
+export default {
+    generateJsonLd,
+    injectJsonLd
+}
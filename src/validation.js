@@ -0,0 +1,92 @@
+/**
+ * Snapshot Validation
+ *
+ * Route-specific completeness checks for rendered pages. A page can render
+ * without a [littb-err] marker and still be useless, e.g. a reader page whose
+ * text never loaded. Such snapshots are answered with an error status instead,
+ * so crawlers retry later rather than index an empty page.
+ *
+ * Soft 404s, where the app shows its "not found" view without a [littb-err]
+ * marker, are detected with SOFT_404_SELECTOR.
+ *
+ * The status of each rule can be overridden with VALIDATION_STATUS_<RULE>,
+ * e.g. VALIDATION_STATUS_READER_TEXT=503.
+ */
+
+const isReaderText = path => /\/sida\/[^/]+\/etext\/?$/.test(path)
+const isFacsimile = path => /\/sida\/[^/]+\/faksimil\/?$/.test(path)
+const isAuthorPage = path => /^\/författare\/[^/]+\/?$/.test(path)
+
+const SOFT_404_SELECTOR = process.env.SOFT_404_SELECTOR || '.not-found, .not_found, #not-found, [littb-not-found]'
+
+export const rules = [
+    {
+        name: 'soft-404',
+        match: () => true,
+        status: 404,
+        check: $ => $(SOFT_404_SELECTOR).length ? 'Page not found' : null
+    },
+    {
+        name: 'reader-loading',
+        match: isReaderText,
+        status: 503,
+        check: $ => $('.searching').length ? 'Reader page was still loading' : null
+    },
+    {
+        name: 'reader-text',
+        match: isReaderText,
+        status: 502,
+        check: $ => $('.etext').text().trim() ? null : 'Reader page has no text'
+    },
+    {
+        name: 'facsimile-image',
+        match: isFacsimile,
+        status: 502,
+        check: $ => $('img.faksimil').attr('src') ? null : 'Facsimile page has no image'
+    },
+    {
+        name: 'author-titles',
+        match: isAuthorPage,
+        status: 404,
+        check: ($, path) => {
+            const titleLinks = $('a[href]').filter((i, el) => {
+                let href = $(el).attr('href')
+                try {
+                    href = decodeURIComponent(href)
+                } catch (_) {}
+                return href.includes(path.replace(/\/$/, '') + '/titlar/')
+            })
+            return titleLinks.length ? null : 'Author page lists no titles'
+        }
+    }
+]
+
+function statusFor(rule) {
+    const override = Number(process.env[`VALIDATION_STATUS_${rule.name.toUpperCase().replace(/-/g, '_')}`])
+    return override || rule.status
+}
+
+/**
+ * Run the rules matching `urlPath` against a rendered page
+ * Returns the first failure as { rule, errType, errMsg }, or null if the page is complete
+ */
+export function validateSnapshot(urlPath, $) {
+    let path = urlPath
+    try {
+        path = decodeURIComponent(urlPath)
+    } catch (_) {}
+
+    for (const rule of rules) {
+        if (!rule.match(path)) continue
+        const errMsg = rule.check($, path)
+        if (errMsg) {
+            return { rule: rule.name, errType: statusFor(rule), errMsg }
+        }
+    }
+    return null
+}
+
+export default {
+    rules,
+    validateSnapshot
+}
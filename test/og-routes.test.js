@@ -0,0 +1,37 @@
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+
+// No shared cache, and no browser: renders fail with 503 instead of loading the live site
+process.env.CACHE_BACKEND = 'memory'
+process.env.PUPPETEER_EXECUTABLE_PATH = '/nonexistent/chrome'
+
+let server, baseUrl
+
+before(async () => {
+    const { default: app } = await import('../src/index')
+    server = app.listen(0, '127.0.0.1')
+    await new Promise(resolve => server.once('listening', resolve))
+    baseUrl = `http://127.0.0.1:${server.address().port}`
+})
+
+after(() => {
+    server.close()
+})
+
+// The home page is a listing page, so its og:image is /og-image/ with an empty splat
+for (const path of ['/og-image/', '/og-image/?format=jpeg', '/og-meta/', '/og/']) {
+    test(`previews the home page at ${path}`, async () => {
+        const res = await fetch(baseUrl + path)
+        assert.equal(res.status, 503)
+        assert.equal((await res.json()).error, 'Renderer unavailable, try again later')
+    })
+}
+
+// Names inherited from Object.prototype aren't presets
+for (const query of ['size=constructor', 'size=__proto__', 'format=toString', 'format=hasOwnProperty']) {
+    test(`rejects /og-image/?${query}`, async () => {
+        const res = await fetch(`${baseUrl}/og-image/författare/StrindbergA?${query}`)
+        assert.equal(res.status, 400)
+        assert.match((await res.json()).error, /^Unknown (size|format)/)
+    })
+}